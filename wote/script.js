@@ -1,97 +1,471 @@
 // --- Configuration & Globals ---
+const STORAGE_PREFIX = 'willowNotesData-';
+const BACKUP_PREFIX = 'willowNotesBackup-';
 let UNIQUE_NOTE_ID = 'default';
-let STORAGE_KEY = 'willowNotesData-default';
+let STORAGE_KEY = STORAGE_PREFIX + 'default';
 const MAX_DEPTH = 15; 
 let CURRENT_THEME = localStorage.getItem('appTheme') || 'willow-theme';
 
-const CUSTOM_THEME_VARS = {
-    '--main-bg': '#f0fff0',
-    '--main-text': '#4B5320',
-    '--branch-line': '#A4C639',
-    '--note-bg': '#ffffff', 
-    '--input-focus': '#ddf'
-};
-
 const HELP_DATA = [
     {
         id: 'h1', type: 'markdown', content: '# Welcome to Wote!', children: [
-            { id: 'h2', type: 'text', content: 'Keyboard Shortcuts (Updated for fewer conflicts!):', children: [] },
-            { id: 'h3', type: 'code', content: 'print("Hello World!")', children: [] },
-            { id: 'h4', type: 'text', content: 'Try these new ones:', children: [
-                 { id: 's1', type: 'text', content: 'Ctrl + Shift + . (Period) : Cycle Node Type (Text -> Code -> MD...)', children: [] },
-                 { id: 's2', type: 'text', content: 'Ctrl + / (Slash) : Toggle Collapse', children: [] },
-                 { id: 's3', type: 'text', content: 'Ctrl + Shift + Backspace : Delete Node Instantly', children: [] }
-            ]},
-            { id: 'h5', type: 'text', content: 'The delete button [×] is on the right ->', children: [] }
+            { id: 'h2', type: 'text', content: 'A code block:', children: [] },
+            { id: 'h3', type: 'code', language: 'python', content: 'print("Hello World!")', children: [] },
+            // Filled in from COMMANDS and HELP_TIPS when the help manual is opened.
+            { id: 'h4', type: 'text', content: 'Shortcuts (change them under ⚙️ → Keyboard Shortcuts, or press Ctrl + K for all commands):', children: [] },
+            { id: 'h5', type: 'text', content: 'The delete button [×] is on the right ->', children: [] },
+            { id: 'h6', type: 'markdown', content: 'Markdown notes preview as you type and render math ($a^2 + b^2 = c^2$, or `$$` blocks) and `mermaid` code fences as diagrams.', children: [] },
+            { id: 'h7', type: 'table', content: 'A table (Tab and Enter move between cells):', rows: [['Type', 'Badge'], ['Code', 'CODE'], ['Markdown', 'MD'], ['Table', 'TABLE']], children: [] }
         ]
     }
 ];
 
 // --- Data & Persistence ---
 let notesData = []; 
+let docMetadata = {};
 
 function generateId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
 }
 
+// Writes are debounced: bursts of changes (typing) reach storage as one write.
+// A shared view (see Share Links) is never stored.
 function saveNotes() {
-    if (notesData.metadata) {
-        notesData.metadata.last_modified = new Date().toISOString();
+    if (readOnly) return;
+    docMetadata.last_modified = new Date().toISOString();
+    hasUnsavedChanges = true;
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(flushSave, SAVE_DEBOUNCE_MS);
+    setSaveStatus('pending');
+}
+
+// Writes pending changes now. Resolves once they are stored (or the write has failed).
+function flushSave() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!hasUnsavedChanges) return savePromise;
+    hasUnsavedChanges = false;
+
+    const id = UNIQUE_NOTE_ID;
+    savePromise = savePromise
+        .then(() => docKey ? writeSealedDocument(id) : writePlainDocument(id))
+        .then(({ text, stored }) => {
+            syncBaseText = text;
+            broadcastDocument(id, stored);
+            setSaveStatus(hasUnsavedChanges ? 'pending' : 'saved');
+            maybeRecordRevision();
+        })
+        .catch(err => {
+            // Keep the changes marked unsaved so the next edit (or retry) tries again.
+            hasUnsavedChanges = true;
+            setSaveStatus('error', err);
+        });
+    return savePromise;
+}
+
+async function writePlainDocument(id) {
+    let sealedElsewhere = false;
+    const text = await storage.update(id, (stored) => {
+        if (isSealedText(stored)) {
+            // Unless this tab is the one removing the encryption, leave another tab's sealed version alone.
+            if (stored === sealedBaseText) return serializeDocument(notesData, docMetadata);
+            sealedElsewhere = true;
+            return stored;
+        }
+        // Another tab wrote since we last synced: fold its changes in first so neither side is lost.
+        if (stored !== null && syncBaseText !== null && stored !== syncBaseText) {
+            if (mergeRemoteDocument(stored)) setTimeout(refreshAfterSync, 0);
+        }
+        return serializeDocument(notesData, docMetadata);
+    });
+    if (sealedElsewhere) throw new Error('This document was encrypted in another tab. Reload it to keep editing.');
+    return { text, stored: text };
+}
+
+// --- Storage Backends ---
+// Each document is stored as its serialized .wote text under its id; pasted images and the
+// document's revision history are kept beside it. Both backends share one promise-based
+// interface; IndexedDB is preferred since localStorage is capped at a few MB.
+const SAVE_DEBOUNCE_MS = 400;
+const IDB_NAME = 'wote';
+const IDB_STORE = 'documents';
+const IDB_IMAGE_STORE = 'images';
+const IDB_REVISION_STORE = 'revisions';
+const IMAGE_PREFIX = 'woteImage-';
+const REVISION_PREFIX = 'woteRevisions-';
+
+let saveTimer = null;
+let savePromise = Promise.resolve();
+let hasUnsavedChanges = false;
+
+const localStorageBackend = {
+    name: 'localStorage',
+    async get(id) {
+        return localStorage.getItem(STORAGE_PREFIX + id);
+    },
+    async list() {
+        const records = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key.startsWith(STORAGE_PREFIX)) {
+                records.push({ id: key.slice(STORAGE_PREFIX.length), text: localStorage.getItem(key) });
+            }
+        }
+        return records;
+    },
+    async put(id, text) {
+        localStorage.setItem(STORAGE_PREFIX + id, text);
+    },
+    async remove(id) {
+        localStorage.removeItem(STORAGE_PREFIX + id);
+    },
+    async update(id, updater) {
+        const text = updater(localStorage.getItem(STORAGE_PREFIX + id));
+        localStorage.setItem(STORAGE_PREFIX + id, text);
+        return text;
+    },
+    // Images are kept as data URLs since localStorage only holds strings.
+    async getImage(id) {
+        const record = localStorage.getItem(IMAGE_PREFIX + id);
+        return record ? dataUrlToBlob(JSON.parse(record).dataUrl) : null;
+    },
+    async putImage(id, blob) {
+        localStorage.setItem(IMAGE_PREFIX + id, JSON.stringify({ created: Date.now(), dataUrl: await blobToDataUrl(blob) }));
+    },
+    async removeImage(id) {
+        localStorage.removeItem(IMAGE_PREFIX + id);
+    },
+    async listImages() {
+        const images = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key.startsWith(IMAGE_PREFIX)) {
+                images.push({ id: key.slice(IMAGE_PREFIX.length), created: JSON.parse(localStorage.getItem(key)).created });
+            }
+        }
+        return images;
+    },
+    async getRevisions(id) {
+        return localStorage.getItem(REVISION_PREFIX + id);
+    },
+    async putRevisions(id, text) {
+        localStorage.setItem(REVISION_PREFIX + id, text);
+    },
+    async removeRevisions(id) {
+        localStorage.removeItem(REVISION_PREFIX + id);
     }
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(notesData));
+};
+
+function openIndexedDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(IDB_NAME, 3);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(IDB_STORE)) db.createObjectStore(IDB_STORE, { keyPath: 'id' });
+            if (!db.objectStoreNames.contains(IDB_IMAGE_STORE)) db.createObjectStore(IDB_IMAGE_STORE, { keyPath: 'id' });
+            if (!db.objectStoreNames.contains(IDB_REVISION_STORE)) db.createObjectStore(IDB_REVISION_STORE, { keyPath: 'id' });
+        };
+        request.onsuccess = () => {
+            // Let a newer version of the app in another tab upgrade the database.
+            request.result.onversionchange = () => request.result.close();
+            resolve(request.result);
+        };
+        request.onerror = () => reject(request.error);
+    });
 }
 
-function loadThemeCustomizations() {
-    const customVars = localStorage.getItem('customThemeVars');
-    if (customVars) {
-        Object.assign(CUSTOM_THEME_VARS, JSON.parse(customVars));
+function createIndexedDbBackend(db) {
+    // Runs `work` in one transaction and resolves with whatever it passes to `done`
+    // once the transaction has committed.
+    const run = (mode, work, storeName = IDB_STORE) => new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        let result;
+        work(tx.objectStore(storeName), (value) => { result = value; });
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+    });
+
+    return {
+        name: 'IndexedDB',
+        get: (id) => run('readonly', (store, done) => {
+            const request = store.get(id);
+            request.onsuccess = () => done(request.result ? request.result.text : null);
+        }),
+        list: () => run('readonly', (store, done) => {
+            const request = store.getAll();
+            request.onsuccess = () => done(request.result.map(({ id, text }) => ({ id, text })));
+        }),
+        put: (id, text) => run('readwrite', (store) => store.put({ id, text })),
+        remove: (id) => run('readwrite', (store) => store.delete(id)),
+        // Read and write happen in one transaction, so other tabs cannot slip a write in between.
+        update: (id, updater) => run('readwrite', (store, done) => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                const text = updater(request.result ? request.result.text : null);
+                store.put({ id, text });
+                done(text);
+            };
+        }),
+        getImage: (id) => run('readonly', (store, done) => {
+            const request = store.get(id);
+            request.onsuccess = () => done(request.result ? request.result.blob : null);
+        }, IDB_IMAGE_STORE),
+        putImage: (id, blob) => run('readwrite', (store) => store.put({ id, blob, created: Date.now() }), IDB_IMAGE_STORE),
+        removeImage: (id) => run('readwrite', (store) => store.delete(id), IDB_IMAGE_STORE),
+        listImages: () => run('readonly', (store, done) => {
+            const images = [];
+            const request = store.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return done(images);
+                images.push({ id: cursor.value.id, created: cursor.value.created });
+                cursor.continue();
+            };
+        }, IDB_IMAGE_STORE),
+        getRevisions: (id) => run('readonly', (store, done) => {
+            const request = store.get(id);
+            request.onsuccess = () => done(request.result ? request.result.text : null);
+        }, IDB_REVISION_STORE),
+        putRevisions: (id, text) => run('readwrite', (store) => store.put({ id, text }), IDB_REVISION_STORE),
+        removeRevisions: (id) => run('readwrite', (store) => store.delete(id), IDB_REVISION_STORE)
+    };
+}
+
+let storage = localStorageBackend;
+
+async function initStorage() {
+    if (!window.indexedDB) return;
+    try {
+        const backend = createIndexedDbBackend(await openIndexedDb());
+        await migrateLocalStorageDocuments(backend);
+        storage = backend;
+    } catch (err) {
+        // Private windows and some embedded browsers refuse IndexedDB; localStorage still works,
+        // and a full quota there is reported by setSaveStatus.
     }
-    applyTheme(CURRENT_THEME);
 }
 
-function applyTheme(themeName) {
-    const root = document.documentElement; 
-    document.body.className = themeName;
-    if (themeName === 'custom-theme') {
-        for (const [key, value] of Object.entries(CUSTOM_THEME_VARS)) {
-            root.style.setProperty(key, value);
-        }
+// Moves documents (with their images and revisions) saved by earlier versions, or while IndexedDB was not
+// available, out of localStorage, which also frees its quota.
+async function migrateLocalStorageDocuments(backend) {
+    const records = await localStorageBackend.list();
+    for (const { id, text } of records) {
+        await backend.update(id, existing => existing !== null ? existing : text);
+        localStorage.removeItem(STORAGE_PREFIX + id);
+    }
+    // Images stored while IndexedDB was unavailable, which documents refer to by id.
+    for (const { id } of await localStorageBackend.listImages()) {
+        if (await backend.getImage(id) === null) await backend.putImage(id, await localStorageBackend.getImage(id));
+        localStorage.removeItem(IMAGE_PREFIX + id);
+    }
+    const revisionIds = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key.startsWith(REVISION_PREFIX)) revisionIds.push(key.slice(REVISION_PREFIX.length));
+    }
+    for (const id of revisionIds) {
+        if (await backend.getRevisions(id) === null) await backend.putRevisions(id, await localStorageBackend.getRevisions(id));
+        localStorage.removeItem(REVISION_PREFIX + id);
+    }
+}
+
+function isQuotaError(err) {
+    return Boolean(err) && (err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED' || err.code === 22);
+}
+
+function setSaveStatus(state, err) {
+    const status = document.getElementById('save-status');
+    if (!status) return;
+    status.className = state;
+    if (state === 'error') {
+        status.textContent = isQuotaError(err) ? '⚠ Storage full: changes not saved' : '⚠ Changes not saved';
+        status.title = isQuotaError(err)
+            ? 'The browser refused to store more data. Export this document and delete old ones from the library, then keep editing to retry.'
+            : `Saving failed (${err && err.message}). Keep editing to retry.`;
     } else {
-        root.style.cssText = ''; 
+        status.textContent = state === 'pending' ? 'Saving…' : '';
+        status.title = '';
     }
 }
 
-function loadNotes() {
-    handleURLAndStorage(); 
-    loadThemeCustomizations(); 
+// --- File Format ---
+// A .wote file (and every stored document) is an envelope around the root nodes:
+// { format: 'wote', version, metadata: { file_id, created_at, last_modified }, notes: [...] }
+// Exported files also carry the pasted images they use: images: { [imageId]: dataUrl }.
+const WOTE_FORMAT = 'wote';
+const WOTE_FORMAT_VERSION = 2;
+
+// Node fields that only describe the current view and never go to disk (older files may still
+// carry them; they are dropped when read).
+const TRANSIENT_NODE_FIELDS = ['isEditing', 'syncConflict'];
+
+// Each entry upgrades a document from version N to N + 1.
+const FORMAT_MIGRATIONS = {
+    // v1 was a bare array of root nodes; any metadata bolted onto it was lost by JSON.stringify.
+    1: (notes) => ({
+        format: WOTE_FORMAT,
+        version: 2,
+        metadata: {},
+        notes: notes.map(function withType(note) {
+            if (!note || typeof note !== 'object') return note;
+            const upgraded = Object.assign({}, note, { type: note.type || 'text' });
+            if (Array.isArray(note.children)) upgraded.children = note.children.map(withType);
+            return upgraded;
+        })
+    })
+};
+
+function serializeDocument(notes, metadata, images) {
+    const doc = { format: WOTE_FORMAT, version: WOTE_FORMAT_VERSION, metadata, notes };
+    if (images) doc.images = images;
+    return JSON.stringify(doc, (key, value) => TRANSIENT_NODE_FIELDS.includes(key) ? undefined : value);
+}
 
-    if (UNIQUE_NOTE_ID === 'help') {
-        const savedHelp = localStorage.getItem(STORAGE_KEY);
-        if (savedHelp) {
-            notesData = JSON.parse(savedHelp);
+function getFormatVersion(raw) {
+    if (Array.isArray(raw)) return 1;
+    if (raw && typeof raw === 'object' && raw.format === WOTE_FORMAT && Number.isInteger(raw.version)) return raw.version;
+    return null;
+}
+
+function migrateDocument(raw) {
+    let version = getFormatVersion(raw);
+    if (version === null) throw new Error('Not a Wote document.');
+    if (version > WOTE_FORMAT_VERSION) {
+        throw new Error(`This file was written by a newer version of Wote (format v${version}).`);
+    }
+    let doc = raw;
+    while (version < WOTE_FORMAT_VERSION) {
+        doc = FORMAT_MIGRATIONS[version](doc);
+        version = doc.version;
+    }
+    return doc;
+}
+
+// Returns a list of { path, id, message }; an empty list means the document is usable.
+function validateDocument(doc) {
+    const errors = [];
+    const seenIds = new Set();
+
+    if (!doc.metadata || typeof doc.metadata !== 'object' || Array.isArray(doc.metadata)) {
+        errors.push({ path: 'metadata', id: null, message: 'metadata must be an object' });
+    } else if (doc.metadata.theme !== undefined && typeof doc.metadata.theme !== 'string') {
+        errors.push({ path: 'metadata.theme', id: null, message: 'theme must be a string' });
+    }
+    if (doc.images !== undefined) {
+        if (!doc.images || typeof doc.images !== 'object' || Array.isArray(doc.images)) {
+            errors.push({ path: 'images', id: null, message: 'images must be an object' });
         } else {
-            notesData = JSON.parse(JSON.stringify(HELP_DATA)); 
-            notesData.metadata = { file_id: 'help', created_at: new Date().toISOString() };
-            saveNotes(); 
+            for (const [id, dataUrl] of Object.entries(doc.images)) {
+                if (!IMAGE_DATA_URL.test(dataUrl)) errors.push({ path: `images.${id}`, id, message: 'image must be a base64 data URL' });
+            }
+        }
+    }
+    if (!Array.isArray(doc.notes)) {
+        errors.push({ path: 'notes', id: null, message: 'notes must be an array' });
+        return errors;
+    }
+
+    function validateNodes(nodes, path) {
+        nodes.forEach((node, index) => {
+            const nodePath = `${path}[${index}]`;
+            const report = (message) => errors.push({ path: nodePath, id: node && node.id, message });
+
+            if (!node || typeof node !== 'object' || Array.isArray(node)) {
+                report('node must be an object');
+                return;
+            }
+            if (typeof node.id !== 'string' || !node.id) report('missing id');
+            else if (seenIds.has(node.id)) report(`duplicate id "${node.id}"`);
+            else seenIds.add(node.id);
+
+            const nodeType = nodeTypes.get(node.type);
+            if (!nodeType) report(`unknown type "${node.type}"`);
+            else if (nodeType.validate) nodeType.validate(node, report);
+            if (node.content !== undefined && typeof node.content !== 'string') report('content must be a string');
+            if (node.imageId !== undefined && typeof node.imageId !== 'string') report('imageId must be a string');
+
+            if (!Array.isArray(node.children)) report('missing children');
+            else validateNodes(node.children, `${nodePath}.children`);
+        });
+    }
+
+    validateNodes(doc.notes, 'notes');
+    return errors;
+}
+
+function formatValidationErrors(errors, limit = 5) {
+    const lines = errors.slice(0, limit).map(err => {
+        const where = err.id ? `${err.path} (id ${err.id})` : err.path;
+        return `- ${where}: ${err.message}`;
+    });
+    if (errors.length > limit) lines.push(`...and ${errors.length - limit} more.`);
+    return lines.join('\n');
+}
+
+// Parses and migrates stored or imported text. Throws on unreadable input;
+// validation problems are returned so callers can decide what to do with them.
+function parseDocument(text) {
+    const raw = JSON.parse(text, (key, value) => TRANSIENT_NODE_FIELDS.includes(key) ? undefined : value);
+    const doc = migrateDocument(raw);
+    return { doc, migrated: getFormatVersion(raw) !== WOTE_FORMAT_VERSION, errors: validateDocument(doc) };
+}
+
+async function loadNotes() {
+    const sharePayload = getSharePayload();
+    if (sharePayload && await openSharedView(sharePayload)) return;
+    if (!handleURLAndStorage()) return; 
+    loadThemeCustomizations(); 
+
+    const now = new Date().toISOString();
+    let stored = await storage.get(UNIQUE_NOTE_ID);
+    if (isSealedText(stored)) {
+        sealedBaseText = stored;
+        stored = await unlockStoredDocument(stored);
+        if (stored === null) return;
+        resetAutoLock();
+    }
+    let loaded = null;
+    let migrated = false;
+
+    if (stored) {
+        try {
+            const parsed = parseDocument(stored);
+            if (parsed.errors.length > 0) {
+                throw new Error(`The saved document has problems:\n${formatValidationErrors(parsed.errors)}`);
+            }
+            loaded = parsed.doc;
+            migrated = parsed.migrated;
+        } catch (err) {
+            // Keep the unreadable copy aside rather than overwriting it on the next save (sealed,
+            // if the document is). A large one may not fit in localStorage.
+            let kept = true;
+            try {
+                localStorage.setItem(BACKUP_PREFIX + UNIQUE_NOTE_ID, sealedBaseText !== null ? sealedBaseText : stored);
+            } catch (backupErr) {
+                kept = false;
+            }
+            alert(kept ? `${err.message}\n\nA backup was kept and a fresh document was started.`
+                : `${err.message}\n\nThere was no room to keep a backup: the stored copy is replaced when this document is next saved.`);
         }
-        renderAllNotes();
-        return;
     }
 
-    const data = localStorage.getItem(STORAGE_KEY);
-    if (data) {
-        notesData = JSON.parse(data);
+    if (loaded) {
+        notesData = loaded.notes;
+        docMetadata = loaded.metadata;
+    } else if (UNIQUE_NOTE_ID === 'help') {
+        notesData = JSON.parse(JSON.stringify(HELP_DATA)); 
+        docMetadata = {};
     } else {
         notesData = []; 
+        docMetadata = {};
     }
-    
-    if (!notesData.metadata) {
-        notesData.metadata = {
-            file_id: UNIQUE_NOTE_ID,
-            created_at: new Date().toISOString(),
-            last_modified: new Date().toISOString()
-        };
-    }
+
+    docMetadata.file_id = docMetadata.file_id || UNIQUE_NOTE_ID;
+    docMetadata.created_at = docMetadata.created_at || now;
+    docMetadata.last_modified = docMetadata.last_modified || now;
+    if (UNIQUE_NOTE_ID === 'help') syncHelpShortcuts();
+    if (docMetadata.theme) applyTheme();
     
     if (notesData.length === 0) {
         notesData.push({
@@ -101,12 +475,29 @@ function loadNotes() {
             children: [],
             collapsed: false
         });
-        saveNotes();
     }
+    syncBaseText = stored;
+    // New documents and ones stored in an older format are written back straight away.
+    if (!loaded || migrated) saveNotes();
+    // Snapshot the document as it was opened, before this session's edits.
+    if (loaded) recordRevision();
 
+    readZoomFromURL();
     renderAllNotes();
+    revealNodeFromURL();
+}
+
+// Whatever fails while opening (reading storage, unlocking, cleaning up images), the page is
+// left with an outline to work in.
+function handleStartupError(err) {
+    if (notesData.length === 0) {
+        notesData.push(createNote());
+        renderAllNotes();
+    }
+    alert(`The document could not be opened completely. ${err.message}\n\nReload the page to try again.`);
 }
 
+// Returns false when the page is about to navigate to a concrete ?id=.
 function handleURLAndStorage() {
     const params = new URLSearchParams(window.location.search);
     let id = params.get('id');
@@ -114,622 +505,5817 @@ function handleURLAndStorage() {
         id = generateId();
         params.set('id', id);
         window.location.search = params.toString(); 
-        return; 
+        return false; 
     }
     UNIQUE_NOTE_ID = id;
-    STORAGE_KEY = 'willowNotesData-' + id;
+    STORAGE_KEY = STORAGE_PREFIX + id;
     const idEl = document.getElementById('current-note-id');
     if (idEl) idEl.textContent = (id === 'help') ? 'Help Manual' : id;
+    return true;
 }
 
-// --- Export/Import ---
-function handleExport() {
-    let fileNameContent = notesData[0] ? notesData[0].content : 'willow-notes';
-    let safeFileName = fileNameContent.replace(/[\\/:*?"<>|]/g, '-').trim() || 'willow-notes';
-    const content = JSON.stringify(notesData); 
-    const blob = new Blob([content], { type: 'application/json' }); 
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${safeFileName}.wote`; 
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-}
+// --- Encryption ---
+// An encrypted document is stored (and exported) as a sealed envelope instead of the plain
+// .wote text:
+//   { format: 'wote-encrypted', version: 1, kdf: { name, hash, iterations, salt }, cipher: { name, iv }, data, imageIds? }
+// `data` is the AES-GCM encrypted .wote text, under a key derived from the passphrase with
+// PBKDF2. Its revision history and images are sealed with the same key. `imageIds` lists the
+// (random) ids of the images it uses so pruneUnusedImages can keep them while it is locked.
+// The key only lives in memory while the document is open; locking reloads the page, which
+// drops every decrypted copy (undo history, caches, rendered rows) at once.
+const SEALED_FORMAT = 'wote-encrypted';
+const SEALED_IMAGE_TYPE = 'application/x-wote-encrypted';
+const KDF_ITERATIONS = 600000;
+const MAX_KDF_ITERATIONS = 10000000; // refuse files that would take minutes to unlock
+const MIN_PASSPHRASE_LENGTH = 8;
+const AUTO_LOCK_MS = 10 * 60 * 1000;
 
-function handleImport(event) {
-    const file = event.target.files[0];
-    if (!file) return;
-    if (!file.name.endsWith('.wote') && !file.name.endsWith('.json')) {
-        alert("Please select a file with the .wote or .json extension.");
-        return;
+let docKey = null;          // { key, salt, iterations } while an encrypted document is open
+let sealedBaseText = null;  // the sealed text last read or written, to spot other tabs' writes
+let autoLockTimer = null;
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
     }
-    const reader = new FileReader();
-    reader.onload = (e) => {
-        try {
-            const importedData = JSON.parse(e.target.result);
-            if (Array.isArray(importedData) || importedData.metadata) {
-                notesData = importedData;
-                saveNotes();
-                renderAllNotes();
-            } else {
-                alert("Invalid Wote file.");
-            }
-        } catch (err) {
-            alert("Corrupted file.");
-        }
-    };
-    reader.readAsText(file);
-    event.target.value = null; 
+    return btoa(binary);
 }
 
-// --- Data Utilities ---
-function findNoteAndParent(notesArray, id) {
-    for (const note of notesArray) {
-        if (note.id === id) return { note, parentArray: notesArray };
-        if (note.children && note.children.length > 0) {
-            const result = findNoteAndParent(note.children, id);
-            if (result) return result;
-        }
-    }
-    return null;
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
 }
 
-function findNoteById(notesArray, id) {
-    const result = findNoteAndParent(notesArray, id);
-    return result ? result.note : null;
+function canEncrypt() {
+    return Boolean(window.crypto && window.crypto.subtle);
 }
 
-function updateNoteData(id, updates) {
-    const noteObj = findNoteById(notesData, id);
-    if (noteObj) {
-        Object.assign(noteObj, updates);
-        saveNotes();
+// Cheap test for stored text, which is always written by sealText.
+function isSealedText(text) {
+    return typeof text === 'string' && text.startsWith(`{"format":"${SEALED_FORMAT}"`);
+}
+
+// The envelope of sealed text (e.g. an imported file), or null if the text is not sealed.
+function parseSealedText(text) {
+    let envelope;
+    try {
+        envelope = JSON.parse(text);
+    } catch (err) {
+        return null;
+    }
+    if (!envelope || envelope.format !== SEALED_FORMAT) return null;
+    const { kdf, cipher } = envelope;
+    if (envelope.version !== 1 || !kdf || !cipher || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || cipher.name !== 'AES-GCM'
+        || !Number.isInteger(kdf.iterations) || kdf.iterations < 1 || kdf.iterations > MAX_KDF_ITERATIONS
+        || typeof kdf.salt !== 'string' || typeof cipher.iv !== 'string' || typeof envelope.data !== 'string') {
+        throw new Error('This encrypted file uses a format this version of Wote does not support.');
     }
+    return envelope;
 }
 
-// --- Navigation & Structure Logic ---
-function addNewSibling(noteId) {
-    const result = findNoteAndParent(notesData, noteId);
-    if (!result) return;
-    const { note, parentArray } = result;
-    const index = parentArray.findIndex(n => n.id === noteId);
+function getSealedImageIds(text) {
+    if (!isSealedText(text)) return [];
+    try {
+        const { imageIds } = JSON.parse(text);
+        return Array.isArray(imageIds) ? imageIds : [];
+    } catch (err) {
+        return [];
+    }
+}
 
-    if (index !== -1) {
-        const newNote = { 
-            id: generateId(), 
-            type: note.type || 'text', 
-            content: '', 
-            children: [],
-            collapsed: false
-        };
-        if (newNote.type === 'image') newNote.type = 'text';
+async function deriveDocumentKey(passphrase, salt, iterations = KDF_ITERATIONS) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    const key = await crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+    return { key, salt, iterations };
+}
 
-        parentArray.splice(index + 1, 0, newNote);
-        saveNotes(); 
-        renderAllNotes();
-        setTimeout(() => focusNote(newNote.id), 0);
-    }
+function createDocumentKey(passphrase) {
+    return deriveDocumentKey(passphrase, crypto.getRandomValues(new Uint8Array(16)));
 }
 
-function increaseNoteDepth(noteId) {
-    const result = findNoteAndParent(notesData, noteId);
-    if (!result) return;
-    const { note, parentArray } = result;
-    const index = parentArray.findIndex(n => n.id === noteId);
+// Every encryption gets a fresh random IV; the salt (and so the key) stays with the passphrase.
+async function sealText(text, sealingKey, imageIds) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, sealingKey.key, new TextEncoder().encode(text));
+    const envelope = {
+        format: SEALED_FORMAT,
+        version: 1,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: sealingKey.iterations, salt: bytesToBase64(sealingKey.salt) },
+        cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+        data: bytesToBase64(new Uint8Array(data))
+    };
+    if (imageIds) envelope.imageIds = imageIds;
+    return JSON.stringify(envelope);
+}
 
-    if (index > 0) {
-        const previousSibling = parentArray[index - 1];
-        previousSibling.collapsed = false; 
-        parentArray.splice(index, 1);
-        previousSibling.children.push(note);
-        saveNotes();
-        renderAllNotes();
-        setTimeout(() => focusNote(noteId), 0);
+// Throws if the envelope was sealed under another passphrase.
+async function openSealedText(envelope, sealingKey) {
+    if (envelope.kdf.salt !== bytesToBase64(sealingKey.salt) || envelope.kdf.iterations !== sealingKey.iterations) {
+        throw new Error('This was encrypted with a different passphrase.');
     }
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(envelope.cipher.iv) }, sealingKey.key, base64ToBytes(envelope.data));
+    return new TextDecoder().decode(data);
 }
 
-function decreaseNoteDepth(noteId) {
-    const result = findNoteAndParent(notesData, noteId);
-    if (!result) return;
-    const { note, parentArray } = result;
-    
-    if (parentArray === notesData) {
-        return;
-    } 
-    
-    let parentNoteId = null;
-    let grandParentArray = notesData;
-    const parentNote = findParentNoteOfArray(notesData, parentArray);
-    
-    if (parentNote) {
-        const grandParentResult = findNoteAndParent(notesData, parentNote.id);
-        if(grandParentResult) grandParentArray = grandParentResult.parentArray;
-        
-        const indexInParent = parentArray.findIndex(n => n.id === noteId);
-        parentArray.splice(indexInParent, 1);
-        const parentIndex = grandParentArray.findIndex(n => n.id === parentNote.id);
-        grandParentArray.splice(parentIndex + 1, 0, note);
-        saveNotes();
-        renderAllNotes();
-        setTimeout(() => focusNote(noteId), 0);
+// Resolves with { text, key } or throws 'Wrong passphrase.'.
+async function unlockSealedText(envelope, passphrase) {
+    const key = await deriveDocumentKey(passphrase, base64ToBytes(envelope.kdf.salt), envelope.kdf.iterations);
+    try {
+        return { text: await openSealedText(envelope, key), key };
+    } catch (err) {
+        throw new Error('Wrong passphrase.');
     }
 }
 
-function findParentNoteOfArray(currentArray, targetChildArray) {
-    for (const note of currentArray) {
-        if (note.children === targetChildArray) return note;
-        if (note.children.length > 0) {
-            const found = findParentNoteOfArray(note.children, targetChildArray);
-            if (found) return found;
+// Images of an encrypted document are stored as sealed data URLs.
+async function putDocumentImage(imageId, blob, sealingKey = docKey) {
+    const stored = sealingKey
+        ? new Blob([await sealText(await blobToDataUrl(blob), sealingKey)], { type: SEALED_IMAGE_TYPE })
+        : blob;
+    await storage.putImage(imageId, stored);
+}
+
+async function getDocumentImage(imageId, sealingKey = docKey) {
+    const blob = await storage.getImage(imageId);
+    if (!blob || blob.type !== SEALED_IMAGE_TYPE) return blob;
+    if (!sealingKey) return null;
+    return dataUrlToBlob(await openSealedText(parseSealedText(await blob.text()), sealingKey));
+}
+
+function getImageIds(notes) {
+    const ids = new Set();
+    (function walk(list) {
+        for (const note of list) {
+            if (note.imageId) ids.add(note.imageId);
+            walk(note.children || []);
         }
+    })(notes);
+    return Array.from(ids);
+}
+
+// Writes the open document sealed. If another tab wrote in between, its version is decrypted
+// and merged in first, as flushSave does for plain documents.
+async function writeSealedDocument(id) {
+    const text = serializeDocument(notesData, docMetadata);
+    const sealed = await sealText(text, docKey, getImageIds(notesData));
+    let newer = null;
+    await storage.update(id, (stored) => {
+        if (stored === null || stored === sealedBaseText) return sealed;
+        newer = stored;
+        return stored;
+    });
+    if (newer === null) {
+        sealedBaseText = sealed;
+        return { text, stored: sealed };
     }
-    return null;
+    if (!isSealedText(newer)) throw new Error('Encryption was removed in another tab. Reload the document to keep editing.');
+    let remoteText;
+    try {
+        remoteText = await openSealedText(parseSealedText(newer), docKey);
+    } catch (err) {
+        throw new Error('The passphrase was changed in another tab. Reload the document to keep editing.');
+    }
+    if (mergeRemoteDocument(remoteText)) refreshAfterSync();
+    syncBaseText = remoteText;
+    sealedBaseText = newer;
+    return writeSealedDocument(id);
 }
 
-function deleteNote(noteId) {
-    const result = findNoteAndParent(notesData, noteId);
-    if (!result) return;
-    const { note, parentArray } = result;
-    const index = parentArray.findIndex(n => n.id === noteId);
+async function receiveSealedVersion(text) {
+    if (!docKey) {
+        showSyncMessage('This document was encrypted in another tab. Reload it to unlock it.');
+        return;
+    }
+    let plainText;
+    try {
+        plainText = await openSealedText(parseSealedText(text), docKey);
+    } catch (err) {
+        showSyncMessage('The passphrase of this document was changed in another tab. Reload it to keep editing.');
+        return;
+    }
+    sealedBaseText = text;
+    mergeRemoteText(plainText);
+}
 
-    if (parentArray === notesData && index === 0 && parentArray.length === 1) {
-        note.content = ''; 
-        saveNotes();
-        renderAllNotes();
-        return; 
-    } 
-    
-    const children = note.children; 
-    parentArray.splice(index, 1);
-    if (children && children.length > 0) {
-        parentArray.splice(index, 0, ...children);
+// Re-stores the images under new ids, sealed with `toKey` (or plain if it is null), so no copy
+// readable the old way stays referenced. Returns a map from old to new ids.
+async function reencodeImages(imageIds, toKey) {
+    const renamed = new Map();
+    for (const imageId of imageIds) {
+        const blob = await getDocumentImage(imageId);
+        if (!blob) continue;
+        const newId = generateId();
+        await putDocumentImage(newId, blob, toKey);
+        renamed.set(imageId, newId);
     }
-    
+    return renamed;
+}
+
+// Encrypts the open document under `passphrase`, changes its passphrase, or (with null)
+// stores it in plain text again. Its revisions and images are re-stored the same way.
+async function setDocumentPassphrase(passphrase) {
+    const id = UNIQUE_NOTE_ID;
+    await flushSave();
+    await revisionPromise;
+    const newKey = passphrase ? await createDocumentKey(passphrase) : null;
+    const revisions = await readRevisions(id);
+    const records = revisions.flatMap(getRevisionRecords);
+    const renamed = await reencodeImages(new Set(getImageIds(notesData).concat(records.map(r => r.imageId).filter(Boolean))), newKey);
+    walkNotes(notesData, note => {
+        if (renamed.has(note.imageId)) note.imageId = renamed.get(note.imageId);
+    });
+    records.forEach(record => {
+        if (renamed.has(record.imageId)) record.imageId = renamed.get(record.imageId);
+    });
+    // Undo entries still refer to the old images.
+    clearHistory();
+    sealedBaseText = await storage.get(id);
+    docKey = newKey;
+    await writeRevisions(id, revisions);
     saveNotes();
+    await flushSave();
+    // The copies under the old ids are readable without the new passphrase (or sealed under an
+    // old one): delete those nothing else uses, and any plain text backup of the document.
+    const used = await getUsedImageIds();
+    for (const oldId of renamed.keys()) {
+        if (!used || used.has(oldId)) continue;
+        await storage.removeImage(oldId);
+        releaseImageUrl(oldId);
+    }
+    if (docKey && !isSealedText(localStorage.getItem(BACKUP_PREFIX + id))) localStorage.removeItem(BACKUP_PREFIX + id);
     renderAllNotes();
-    setTimeout(() => {
-        const prev = parentArray[index-1] || parentArray[index];
-        if (prev) focusNote(prev.id);
-        else document.getElementById('note-container').focus();
-    }, 0);
+    if (docKey) resetAutoLock();
+    else clearTimeout(autoLockTimer);
 }
 
-// --- RENDER LOGIC ---
+async function lockDocument() {
+    if (!docKey) return;
+    await flushSave();
+    if (hasUnsavedChanges) {
+        // Reloading would throw the unsaved edits away; stay open and try again later.
+        alert('The document was not locked because the latest changes could not be saved. Free some space or export the document, then lock it again.');
+        resetAutoLock();
+        return;
+    }
+    await revisionPromise;
+    window.location.reload();
+}
 
-function focusNote(id) {
-    const el = document.querySelector(`[data-id="${id}"] .note-content`);
-    if (el) {
-        el.focus();
-        const range = document.createRange();
-        range.selectNodeContents(el);
-        range.collapse(false);
-        const sel = window.getSelection();
-        sel.removeAllRanges();
-        sel.addRange(range);
+function resetAutoLock() {
+    if (!docKey) return;
+    clearTimeout(autoLockTimer);
+    autoLockTimer = setTimeout(lockDocument, AUTO_LOCK_MS);
+}
+
+// Shows the passphrase dialog until `accept(passphrase)` resolves (its result is returned) or
+// the user cancels (null). Errors thrown by `accept` are shown and the user can try again.
+function askPassphrase({ title, message, repeat = false, cancellable = true }, accept) {
+    const dialog = document.getElementById('passphrase-dialog');
+    const form = document.getElementById('passphrase-form');
+    const input = document.getElementById('passphrase-input');
+    const repeatInput = document.getElementById('passphrase-repeat');
+    const error = document.getElementById('passphrase-error');
+    const cancelBtn = document.getElementById('passphrase-cancel-btn');
+    document.getElementById('passphrase-title').textContent = title;
+    document.getElementById('passphrase-message').textContent = message;
+    input.value = '';
+    repeatInput.value = '';
+    repeatInput.style.display = repeat ? 'block' : 'none';
+    cancelBtn.style.display = cancellable ? '' : 'none';
+    error.textContent = '';
+    dialog.style.display = 'flex';
+    input.focus();
+
+    return new Promise(resolve => {
+        const finish = (result) => {
+            dialog.style.display = 'none';
+            input.value = '';
+            repeatInput.value = '';
+            form.onsubmit = null;
+            cancelBtn.onclick = null;
+            resolve(result);
+        };
+        form.onsubmit = async (event) => {
+            event.preventDefault();
+            const passphrase = input.value;
+            if (repeat && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+                error.textContent = `Use at least ${MIN_PASSPHRASE_LENGTH} characters.`;
+                return;
+            }
+            if (repeat && passphrase !== repeatInput.value) {
+                error.textContent = 'The passphrases do not match.';
+                return;
+            }
+            error.textContent = 'Working…';
+            try {
+                finish(await accept(passphrase));
+            } catch (err) {
+                error.textContent = err.message;
+                input.select();
+            }
+        };
+        cancelBtn.onclick = () => finish(null);
+    });
+}
+
+// Asks for the passphrase until the stored document opens; resolves with its plain text.
+function unlockStoredDocument(text) {
+    const envelope = parseSealedText(text);
+    if (!canEncrypt()) {
+        alert('This document is encrypted, and this browser cannot decrypt it here (WebCrypto needs HTTPS).');
+        return Promise.resolve(null);
     }
+    return askPassphrase({
+        title: 'This document is locked',
+        message: 'Enter its passphrase to open it.',
+        cancellable: false
+    }, async (passphrase) => {
+        const unlocked = await unlockSealedText(envelope, passphrase);
+        docKey = unlocked.key;
+        return unlocked.text;
+    });
 }
 
-function getTypeBadge(type) {
-    switch (type) {
-        case 'markdown': return 'MD';
-        case 'code': return 'CODE';
-        case 'todo': return '✓';
-        case 'image': return 'IMG';
-        default: return ''; 
+async function encryptDocument() {
+    if (!canEncrypt()) {
+        alert('Encryption needs WebCrypto, which browsers only offer on HTTPS pages.');
+        return;
     }
+    const changing = Boolean(docKey);
+    await askPassphrase({
+        title: changing ? 'Change passphrase' : 'Encrypt this document',
+        message: changing
+            ? 'Choose a new passphrase for this document.'
+            : 'The document, its history and its images will only open with this passphrase. It cannot be recovered if you forget it.',
+        repeat: true
+    }, (passphrase) => setDocumentPassphrase(passphrase).then(() => true));
+    renderEncryptionControls();
 }
 
-function isUrl(string) {
-    try { return Boolean(new URL(string)); } catch(e){ return false; }
+async function decryptDocument() {
+    if (!docKey || !confirm('Store this document without encryption again?')) return;
+    await setDocumentPassphrase(null);
+    renderEncryptionControls();
 }
 
-function cycleNodeType(note) {
-    const types = ['text', 'code', 'markdown', 'todo', 'image'];
-    const nextType = types[(types.indexOf(note.type || 'text') + 1) % types.length];
-    updateNoteData(note.id, { type: nextType });
-    renderAllNotes();
+function renderEncryptionControls() {
+    const status = document.getElementById('encryption-status');
+    const encryptBtn = document.getElementById('encrypt-btn');
+    const decryptBtn = document.getElementById('decrypt-btn');
+    const lockBtn = document.getElementById('lock-btn');
+    if (status) status.textContent = docKey
+        ? `🔒 Encrypted. Locks after ${AUTO_LOCK_MS / 60000} minutes without activity.`
+        : 'Not encrypted.';
+    if (encryptBtn) encryptBtn.textContent = docKey ? 'Change Passphrase...' : 'Encrypt with Passphrase...';
+    if (decryptBtn) decryptBtn.style.display = docKey ? '' : 'none';
+    if (lockBtn) lockBtn.style.display = docKey ? '' : 'none';
 }
 
-function renderNoteContent(note, wrapper) {
-    wrapper.innerHTML = '';
-    
-    if (note.type === 'todo') {
-        const checkbox = document.createElement('input');
-        checkbox.type = 'checkbox';
-        checkbox.className = 'note-checkbox';
-        checkbox.checked = note.checked || false;
-        checkbox.addEventListener('change', (e) => {
-            updateNoteData(note.id, { checked: e.target.checked });
-            if (e.target.checked) wrapper.classList.add('note-done');
-            else wrapper.classList.remove('note-done');
-        });
-        wrapper.appendChild(checkbox);
-        if (note.checked) wrapper.classList.add('note-done');
+// --- Note Library ---
+function getDocumentTitle(notes, metadata) {
+    if (metadata && metadata.title) return metadata.title;
+    const firstLine = notes[0] && notes[0].content ? notes[0].content.split('\n')[0].trim() : '';
+    return firstLine || 'Untitled';
+}
+
+function parseStoredText(text) {
+    if (!text) return null;
+    try {
+        const { doc, errors } = parseDocument(text);
+        return errors.length === 0 ? doc : null;
+    } catch (err) {
+        return null;
     }
+}
 
-    const mainCol = document.createElement('div');
-    mainCol.className = 'note-main-column';
-    
-    const contentBox = document.createElement('div');
-    contentBox.className = 'note-content';
-    contentBox.setAttribute('contenteditable', 'true'); 
-    
-    // CODE BLOCK
-    if (note.type === 'code') {
-        if (note.isEditing) {
-            contentBox.textContent = note.content;
-            contentBox.dataset.mode = "code-edit";
-            contentBox.focus();
-        } else {
-            contentBox.setAttribute('contenteditable', 'false');
-            contentBox.className += ' code-view'; 
-            const pre = document.createElement('pre');
-            pre.style.margin = "0";
-            const code = document.createElement('code');
-            code.textContent = note.content || ' ';
-            pre.appendChild(code);
-            hljs.highlightElement(code);
-            contentBox.innerHTML = ''; 
-            contentBox.appendChild(pre);
-
-            contentBox.addEventListener('click', () => {
-                note.isEditing = true;
-                renderAllNotes();
-                setTimeout(() => focusNote(note.id), 0);
+async function readStoredDocument(id) {
+    return parseStoredText(await storage.get(id));
+}
+
+async function writeStoredDocument(id, doc) {
+    const text = serializeDocument(doc.notes, doc.metadata);
+    await storage.put(id, text);
+    broadcastDocument(id, text);
+}
+
+// Every stored document except the help manual, most recently modified first.
+async function listStoredDocuments() {
+    const records = await storage.list();
+    return records
+        .filter(record => record.id !== 'help')
+        .map(({ id, text }) => {
+            const locked = isSealedText(text);
+            // The open document is readable even when it is stored encrypted.
+            const doc = id === UNIQUE_NOTE_ID && docKey ? { notes: notesData, metadata: docMetadata } : parseStoredText(text);
+            let title = doc ? getDocumentTitle(doc.notes, doc.metadata) : (locked ? 'Encrypted document' : '(unreadable)');
+            if (locked) title = `🔒 ${title}`;
+            return {
+                id,
+                doc,
+                locked,
+                imageIds: locked ? getSealedImageIds(text) : [],
+                title,
+                created_at: doc ? doc.metadata.created_at : null,
+                last_modified: doc ? doc.metadata.last_modified : null,
+                size: new Blob([text]).size
+            };
+        })
+        .sort((a, b) => (b.last_modified || '').localeCompare(a.last_modified || ''));
+}
+
+async function openDocument(id, nodeId = null) {
+    await flushSave();
+    const params = new URLSearchParams(window.location.search);
+    params.set('id', id);
+    if (nodeId) params.set('node', nodeId);
+    else params.delete('node');
+    window.location.search = params.toString();
+}
+
+function createNewDocument() {
+    openDocument(generateId());
+}
+
+async function renameDocument(id) {
+    const doc = id === UNIQUE_NOTE_ID ? { notes: notesData, metadata: docMetadata } : await readStoredDocument(id);
+    if (!doc) return;
+    const title = prompt("Document title (leave empty to use the first note):", doc.metadata.title || getDocumentTitle(doc.notes, doc.metadata));
+    if (title === null) return;
+    doc.metadata.title = title.trim() || undefined;
+
+    if (id === UNIQUE_NOTE_ID) saveNotes();
+    else await writeStoredDocument(id, doc);
+    renderLibrary();
+    refreshLinkIndex();
+}
+
+async function duplicateDocument(id) {
+    if (id === UNIQUE_NOTE_ID) await flushSave();
+    const newId = generateId();
+    const stored = await storage.get(id);
+    // An encrypted document is copied as it is stored, under the same passphrase.
+    if (isSealedText(stored)) {
+        await storage.put(newId, stored);
+        renderLibrary();
+        return;
+    }
+    const doc = parseStoredText(stored);
+    if (!doc) return;
+    const now = new Date().toISOString();
+    doc.metadata = Object.assign({}, doc.metadata, {
+        file_id: newId,
+        title: `Copy of ${getDocumentTitle(doc.notes, doc.metadata)}`,
+        created_at: now,
+        last_modified: now
+    });
+    await writeStoredDocument(newId, doc);
+    renderLibrary();
+    refreshLinkIndex();
+}
+
+async function deleteDocument(id) {
+    const doc = await readStoredDocument(id);
+    const title = doc ? getDocumentTitle(doc.notes, doc.metadata) : id;
+    if (!confirm(`Delete "${title}"? This cannot be undone.`)) return;
+    if (id === UNIQUE_NOTE_ID) {
+        // Drop pending edits, or the debounced save would bring the document back.
+        clearTimeout(saveTimer);
+        hasUnsavedChanges = false;
+        await savePromise;
+    }
+    await storage.remove(id);
+    await storage.removeRevisions(id);
+    broadcastDocument(id, null);
+    if (id === UNIQUE_NOTE_ID) {
+        window.location.search = '';
+        return;
+    }
+    renderLibrary();
+    refreshLinkIndex();
+}
+
+function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatDate(isoString) {
+    return isoString ? new Date(isoString).toLocaleString() : '?';
+}
+
+async function renderLibrary() {
+    const list = document.getElementById('library-list');
+    if (!list) return;
+    await flushSave();
+    const entries = await listStoredDocuments();
+    list.innerHTML = '';
+
+    entries.forEach(entry => {
+        const item = document.createElement('li');
+        item.className = 'library-item';
+        if (entry.id === UNIQUE_NOTE_ID) item.classList.add('current-doc');
+
+        const title = document.createElement('a');
+        title.className = 'library-title';
+        title.href = `?id=${encodeURIComponent(entry.id)}`;
+        title.textContent = entry.title;
+        title.addEventListener('click', (e) => {
+            e.preventDefault();
+            openDocument(entry.id);
+        });
+        item.appendChild(title);
+
+        const meta = document.createElement('div');
+        meta.className = 'library-meta';
+        meta.textContent = `Created ${formatDate(entry.created_at)} · Modified ${formatDate(entry.last_modified)} · ${formatFileSize(entry.size)}`;
+        item.appendChild(meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'library-actions';
+        [['Rename', renameDocument], ['Duplicate', duplicateDocument], ['Delete', deleteDocument]].forEach(([label, action]) => {
+            const btn = document.createElement('button');
+            btn.textContent = label;
+            btn.addEventListener('click', () => action(entry.id));
+            actions.appendChild(btn);
+        });
+        item.appendChild(actions);
+
+        list.appendChild(item);
+    });
+}
+
+// --- Local Images ---
+// Pasted and dropped image files are downscaled, stored as blobs (see the storage backends)
+// and referenced from image nodes by imageId. The node's content is the caption.
+const MAX_IMAGE_FILE_BYTES = 20 * 1024 * 1024;  // larger files are refused outright
+const MAX_IMAGE_DIMENSION = 1600;               // longest side after downscaling
+const MAX_STORED_IMAGE_BYTES = 2 * 1024 * 1024; // per image, after downscaling
+const IMAGE_PRUNE_AGE_MS = 24 * 60 * 60 * 1000;
+const IMAGE_DATA_URL = /^data:image\/[\w.+-]+;base64,[A-Za-z0-9+/=]*$/;
+
+const imageObjectUrls = new Map(); // imageId -> promise of an object URL, or null if missing
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+function dataUrlToBlob(dataUrl) {
+    const [header, data] = dataUrl.split(',');
+    const type = header.slice('data:'.length).split(';')[0];
+    const binary = atob(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], { type });
+}
+
+function getImageFiles(dataTransfer) {
+    if (!dataTransfer || !dataTransfer.files) return [];
+    return Array.from(dataTransfer.files).filter(file => file.type.startsWith('image/'));
+}
+
+function getImageUrl(imageId) {
+    if (!imageObjectUrls.has(imageId)) {
+        imageObjectUrls.set(imageId, getDocumentImage(imageId)
+            .then(blob => blob ? URL.createObjectURL(blob) : null)
+            .catch(() => null));
+    }
+    return imageObjectUrls.get(imageId);
+}
+
+// Frees the blob behind a cached object URL; the next getImageUrl reads the image again.
+function releaseImageUrl(imageId) {
+    const url = imageObjectUrls.get(imageId);
+    imageObjectUrls.delete(imageId);
+    if (url) url.then(objectUrl => { if (objectUrl) URL.revokeObjectURL(objectUrl); });
+}
+
+function releaseImageUrls() {
+    Array.from(imageObjectUrls.keys()).forEach(releaseImageUrl);
+}
+
+function canvasToBlob(canvas, type) {
+    return new Promise(resolve => canvas.toBlob(resolve, type, 0.85));
+}
+
+// Shrinks large pictures to MAX_IMAGE_DIMENSION. Screenshots stay PNG unless that is still
+// too big; photos become JPEG. GIFs and SVGs are kept as they are.
+async function downscaleImage(file) {
+    if (file.type === 'image/gif' || file.type === 'image/svg+xml' || !window.createImageBitmap) return file;
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(bitmap.width, bitmap.height));
+    if (scale === 1 && file.size <= MAX_STORED_IMAGE_BYTES) {
+        bitmap.close();
+        return file;
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    let blob = await canvasToBlob(canvas, file.type === 'image/png' ? 'image/png' : 'image/jpeg');
+    if (blob && blob.size > MAX_STORED_IMAGE_BYTES && blob.type === 'image/png') blob = await canvasToBlob(canvas, 'image/jpeg');
+    return blob || file;
+}
+
+async function storeImageFile(file) {
+    if (file.size > MAX_IMAGE_FILE_BYTES) {
+        throw new Error(`"${file.name}" is larger than ${formatFileSize(MAX_IMAGE_FILE_BYTES)}.`);
+    }
+    const blob = await downscaleImage(file);
+    if (blob.size > MAX_STORED_IMAGE_BYTES) {
+        const size = formatFileSize(blob.size);
+        const limit = formatFileSize(MAX_STORED_IMAGE_BYTES);
+        throw new Error(blob === file
+            ? `"${file.name}" is ${size}; GIF and SVG images cannot be downscaled and must be under ${limit}.`
+            : `"${file.name}" is still ${size} after downscaling (the limit is ${limit}).`);
+    }
+    const imageId = generateId();
+    await putDocumentImage(imageId, blob);
+    return imageId;
+}
+
+// Creates one image node per file after the given note, captioned with the file name.
+async function insertImageFiles(noteId, files) {
+    const notes = [];
+    for (const file of files) {
+        try {
+            const imageId = await storeImageFile(file);
+            notes.push(createNote({ type: 'image', content: file.name.replace(/\.[^.]+$/, '') || 'Image', imageId }));
+        } catch (err) {
+            alert(isQuotaError(err) ? 'Storage is full: the image could not be saved.' : `Image not added. ${err.message}`);
+        }
+    }
+    if (notes.length > 0) pasteNotes(noteId, notes);
+}
+
+// Data URLs of every stored image the notes use, for embedding in an export.
+async function collectImages(notes) {
+    const ids = getImageIds(notes);
+    if (ids.length === 0) return undefined;
+    const images = {};
+    for (const id of ids) {
+        const blob = await getDocumentImage(id);
+        if (blob) images[id] = await blobToDataUrl(blob);
+    }
+    return images;
+}
+
+async function restoreImages(images) {
+    for (const [id, dataUrl] of Object.entries(images || {})) {
+        await putDocumentImage(id, dataUrlToBlob(dataUrl));
+        releaseImageUrl(id);
+    }
+}
+
+// The images stored documents and their revisions use, or null while any document cannot be
+// read. Locked documents list their images in the sealed envelope.
+async function getUsedImageIds() {
+    const documents = await listStoredDocuments();
+    if (documents.some(entry => !entry.doc && !entry.locked)) return null;
+    const used = new Set();
+    const collect = (list) => list.forEach(note => {
+        if (note.imageId) used.add(note.imageId);
+        collect(note.children || []);
+    });
+    documents.forEach(entry => entry.doc ? collect(entry.doc.notes) : entry.imageIds.forEach(id => used.add(id)));
+    collect(notesData);
+    // Images only an old revision still uses are kept so restoring it brings them back.
+    for (const entry of documents) {
+        if (!entry.doc) {
+            getSealedImageIds(await storage.getRevisions(entry.id)).forEach(id => used.add(id));
+            continue;
+        }
+        (await readRevisions(entry.id)).forEach(revision => getRevisionRecords(revision).forEach(record => {
+            if (record.imageId) used.add(record.imageId);
+        }));
+    }
+    return used;
+}
+
+// Deletes images no stored document refers to any more. Recent ones are kept, since another
+// tab may not have saved the note that uses them yet, and nothing is deleted while any
+// document cannot be read.
+async function pruneUnusedImages() {
+    const used = await getUsedImageIds();
+    if (!used) return;
+    for (const image of await storage.listImages()) {
+        if (used.has(image.id) || Date.now() - (image.created || 0) <= IMAGE_PRUNE_AGE_MS) continue;
+        await storage.removeImage(image.id);
+        releaseImageUrl(image.id);
+    }
+}
+
+function createImageNotice(text) {
+    const notice = document.createElement('div');
+    notice.className = 'image-missing';
+    notice.textContent = text;
+    return notice;
+}
+
+// --- Export/Import ---
+function getExportFileName() {
+    const fileNameContent = getDocumentTitle(notesData, docMetadata);
+    return fileNameContent.split('\n')[0].replace(/[\\/:*?"<>|]/g, '-').trim() || 'willow-notes';
+}
+
+function downloadFile(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: mimeType }); 
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName; 
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// An encrypted document is exported sealed under its passphrase.
+async function handleExport() {
+    const images = await collectImages(notesData);
+    let text = serializeDocument(notesData, docMetadata, images);
+    if (docKey) text = await sealText(text, docKey);
+    downloadFile(text, `${getExportFileName()}.wote`, 'application/json');
+}
+
+function confirmPlainExport() {
+    return !docKey || confirm('This document is encrypted, but this file will not be. Export anyway?');
+}
+
+function handleMarkdownExport() {
+    if (!confirmPlainExport()) return;
+    downloadFile(notesToMarkdown(notesData), `${getExportFileName()}.md`, 'text/markdown');
+}
+
+function handleOpmlExport() {
+    if (!confirmPlainExport()) return;
+    downloadFile(notesToOpml(notesData, docMetadata), `${getExportFileName()}.opml`, 'text/x-opml');
+}
+
+const IMPORT_EXTENSIONS = ['.wote', '.json', '.md', '.markdown', '.opml'];
+
+function replaceDocument(notes, metadata) {
+    notesData = notes;
+    clearHistory();
+    docMetadata = Object.assign({}, metadata, { file_id: UNIQUE_NOTE_ID });
+    saveNotes();
+    applyTheme();
+    renderAllNotes();
+}
+
+async function importWoteText(text) {
+    let sealed;
+    try {
+        sealed = parseSealedText(text);
+    } catch (err) {
+        alert(err.message);
+        return;
+    }
+    let passphrase = null;
+    if (sealed) {
+        if (!canEncrypt()) {
+            alert('This file is encrypted, and this browser cannot decrypt it here (WebCrypto needs HTTPS).');
+            return;
+        }
+        const unlocked = await askPassphrase({ title: 'Encrypted file', message: 'Enter the passphrase of this file.' }, async (value) => {
+            passphrase = value;
+            return (await unlockSealedText(sealed, value)).text;
+        });
+        if (unlocked === null) return;
+        text = unlocked;
+    }
+    let parsed;
+    try {
+        parsed = parseDocument(text);
+    } catch (err) {
+        alert(err instanceof SyntaxError ? "Corrupted file." : `Invalid Wote file. ${err.message}`);
+        return;
+    }
+    if (parsed.errors.length > 0) {
+        alert(`Invalid Wote file:\n${formatValidationErrors(parsed.errors)}`);
+        return;
+    }
+    try {
+        await restoreImages(parsed.doc.images);
+    } catch (err) {
+        alert(isQuotaError(err) ? 'Storage is full: the images in this file could not be saved.' : `Could not store the images in this file. ${err.message}`);
+    }
+    replaceDocument(parsed.doc.notes, parsed.doc.metadata);
+    if (sealed && !docKey && confirm('Keep this document encrypted with the passphrase of the file?')) {
+        await setDocumentPassphrase(passphrase);
+    }
+}
+
+function importOutlineText(text, isOpml) {
+    let notes;
+    try {
+        notes = isOpml ? opmlToNotes(text) : markdownToNotes(text);
+    } catch (err) {
+        alert(`Could not read the outline. ${err.message}`);
+        return;
+    }
+    if (notes.length === 0) {
+        alert("The file does not contain any outline items.");
+        return;
+    }
+    replaceDocument(notes, {});
+}
+
+function handleImport(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    const name = file.name.toLowerCase();
+    if (!IMPORT_EXTENSIONS.some(ext => name.endsWith(ext))) {
+        alert(`Please select a file with one of these extensions: ${IMPORT_EXTENSIONS.join(', ')}.`);
+        return;
+    }
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        const text = e.target.result;
+        if (name.endsWith('.opml')) importOutlineText(text, true);
+        else if (name.endsWith('.md') || name.endsWith('.markdown')) importOutlineText(text, false);
+        else importWoteText(text);
+    };
+    reader.readAsText(file);
+    event.target.value = null; 
+}
+
+// --- Standalone HTML & Print ---
+// "Export to HTML" writes a single file that needs neither Wote nor a network: the notes are
+// rendered as a shared view shows them (markdown, math, diagrams and code already turned into
+// HTML), every stylesheet of the page and the theme's variables are copied in, stored images
+// are embedded, and each branch, image or table is a <details> element, so it folds without
+// any script.
+// Printing, from the app or from such a file, follows the PRINT rules in flavour.css.
+const EXPORT_STRIPPED = '.node-controls, .code-toolbar, .note-links';
+let printExpanded = false; // collapsed notes are shown while the app prints
+
+// The relative URLs of @font-face rules lead nowhere beside an exported file, so the fonts are
+// embedded (KaTeX's only when the outline has math in it).
+async function getPageStyles(outline) {
+    const hasMath = outline.querySelector('.katex') !== null;
+    const sheets = await Promise.all(Array.from(document.styleSheets).map(async sheet => {
+        let rules;
+        try {
+            rules = Array.from(sheet.cssRules);
+        } catch (err) {
+            return ''; // a sheet from another origin cannot be read
+        }
+        const texts = await Promise.all(rules.map(rule => {
+            if (!(window.CSSFontFaceRule && rule instanceof CSSFontFaceRule)) return rule.cssText;
+            if (!hasMath && /KaTeX_/.test(rule.style.getPropertyValue('font-family'))) return '';
+            return embedFontFace(rule, sheet.href || document.baseURI);
+        }));
+        return texts.join('\n');
+    }));
+    return sheets.join('\n');
+}
+
+// Keeps the first (preferred) source of the rule, as a data URL; a font that cannot be read
+// drops the rule, and the text falls back to the next font in its stack.
+async function embedFontFace(rule, base) {
+    const source = /url\(\s*["']?([^"')]+)["']?\s*\)(\s*format\([^)]*\))?/.exec(rule.cssText);
+    if (!source) return '';
+    try {
+        const response = await fetch(new URL(source[1], base));
+        if (!response.ok) return '';
+        const data = await blobToDataUrl(await response.blob());
+        return rule.cssText.replace(/\bsrc\s*:[^;}]*/, `src: url("${data}")${source[2] || ''}`);
+    } catch (err) {
+        return '';
+    }
+}
+
+// Rendered as a shared view shows notes, but with collapsed content too, which the file can
+// unfold: the caption of an image or table is its <summary>, the picture or table goes below it.
+function buildExportNote(note) {
+    const hasChildren = note.children && note.children.length > 0;
+    const ownContent = Boolean(getNodeType(note.type).ownContent);
+    const foldable = hasChildren || ownContent;
+    const item = document.createElement(foldable ? 'details' : 'div');
+    item.className = 'note';
+    item.id = `note-${note.id}`;
+    if (foldable && !note.collapsed) item.open = true;
+
+    const row = document.createElement(foldable ? 'summary' : 'div');
+    row.className = 'note-row';
+    const wrapper = document.createElement('div');
+    wrapper.className = 'note-content-wrapper';
+    renderNoteContent(note, wrapper, { exporting: true });
+    // Stored images are swapped for their data after rendering (see buildStandaloneHtml).
+    const img = wrapper.querySelector('.note-image-preview');
+    if (img && note.imageId) img.dataset.imageId = note.imageId;
+    row.appendChild(wrapper);
+    item.appendChild(row);
+    if (ownContent) {
+        const body = document.createElement('div');
+        body.className = 'note-own-content';
+        const column = wrapper.querySelector('.note-main-column');
+        Array.from(column.children).filter(el => !el.classList.contains('note-content')).forEach(el => body.appendChild(el));
+        item.appendChild(body);
+    }
+
+    if (hasChildren) {
+        const replies = document.createElement('div');
+        replies.className = 'replies';
+        note.children.forEach(child => replies.appendChild(buildExportNote(child)));
+        item.appendChild(replies);
+    }
+    return item;
+}
+
+async function buildStandaloneHtml(notes) {
+    const images = (await collectImages(notes)) || {};
+    const outline = document.createElement('div');
+    outline.className = 'note-area';
+    notes.forEach(note => outline.appendChild(buildExportNote(note)));
+    await Promise.allSettled(Array.from(pendingDiagrams));
+
+    outline.querySelectorAll(EXPORT_STRIPPED).forEach(el => el.remove());
+    outline.querySelectorAll('[contenteditable]').forEach(el => el.removeAttribute('contenteditable'));
+    outline.querySelectorAll('img[data-image-id]').forEach(img => {
+        const data = images[img.dataset.imageId];
+        if (data) {
+            img.src = data;
+            img.removeAttribute('data-image-id');
+        } else {
+            img.replaceWith(createImageNotice('Image not found in this browser.'));
+        }
+    });
+    // [[links]] to notes in this file jump to them; others cannot be followed from here.
+    outline.querySelectorAll('.internal-link').forEach(link => {
+        const target = resolveLink(link.dataset.link);
+        if (target && target.docId === UNIQUE_NOTE_ID && target.noteId) link.href = `#note-${target.noteId}`;
+        else link.removeAttribute('href');
+    });
+
+    const title = getDocumentTitle(notes, docMetadata).split('\n')[0];
+    const styles = (await getPageStyles(outline)).replace(/<\/style/gi, '<\\/style');
+    return `<!DOCTYPE html>
+<html lang="en" style="${escapeXml(document.documentElement.style.cssText)}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="generator" content="Wote">
+<title>${escapeXml(title)}</title>
+<style>
+${styles}
+</style>
+</head>
+<body class="${escapeXml(document.body.className)} standalone-export">
+<main>
+${outline.outerHTML}
+</main>
+</body>
+</html>
+`;
+}
+
+async function handleHtmlExport() {
+    if (!confirmPlainExport()) return;
+    downloadFile(await buildStandaloneHtml(notesData), `${getExportFileName()}.html`, 'text/html');
+}
+
+function hasCollapsedBranch(notes) {
+    return notes.some(note => (note.collapsed && ((note.children && note.children.length > 0) || getNodeType(note.type).ownContent))
+        || hasCollapsedBranch(note.children || []));
+}
+
+// Ctrl + P prints the outline as it is on screen; this can open the collapsed branches first.
+function printDocument() {
+    printExpanded = hasCollapsedBranch(notesData)
+        && confirm('Print collapsed branches expanded? (Cancel prints them collapsed.)');
+    if (printExpanded) renderAllNotes();
+    window.print();
+}
+
+function handleAfterPrint() {
+    if (!printExpanded) return;
+    printExpanded = false;
+    renderAllNotes();
+}
+
+// --- Share Links ---
+// "Copy share link" puts the whole document, or one note's subtree, into the URL fragment,
+// so it never reaches a server: #share=<z|u><base64url>, deflate-compressed ('z') where the
+// browser has CompressionStream and plain UTF-8 ('u') otherwise. Stored images are left out
+// (their captions stay) to keep links short. Opening a link shows a read-only view; "Save a
+// copy" stores it as a new document.
+const SHARE_PARAM = 'share';
+const LONG_SHARE_LINK = 8000; // characters; chat apps and mail clients may cut longer links
+
+let readOnly = false;
+
+function toBase64Url(bytes) {
+    return bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    return base64ToBytes(text.replace(/-/g, '+').replace(/_/g, '/'));
+}
+
+async function pipeBytes(bytes, transform) {
+    return new Uint8Array(await new Response(new Response(bytes).body.pipeThrough(transform)).arrayBuffer());
+}
+
+async function encodeSharePayload(text) {
+    const bytes = new TextEncoder().encode(text);
+    if (window.CompressionStream) return 'z' + toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')));
+    return 'u' + toBase64Url(bytes);
+}
+
+async function decodeSharePayload(payload) {
+    let bytes = fromBase64Url(payload.slice(1));
+    if (payload[0] === 'z') {
+        if (!window.DecompressionStream) throw new Error('This browser cannot open compressed share links.');
+        bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+    } else if (payload[0] !== 'u') {
+        throw new Error('Unknown share link encoding.');
+    }
+    return new TextDecoder().decode(bytes);
+}
+
+function getSharePayload() {
+    const hash = window.location.hash.slice(1);
+    return hash.startsWith(`${SHARE_PARAM}=`) ? hash.slice(SHARE_PARAM.length + 1) : null;
+}
+
+// The whole document, or the subtree of `noteId`, as a share link.
+async function createShareLink(noteId = null) {
+    const source = noteId ? [findNoteById(notesData, noteId)] : notesData;
+    const notes = JSON.parse(serializeDocument(source, {})).notes;
+    walkNotes(notes, note => { delete note.imageId; });
+    const title = noteId ? getNoteTitle(source[0]) : getDocumentTitle(notesData, docMetadata);
+    const payload = await encodeSharePayload(serializeDocument(notes, { title }));
+    return `${window.location.origin}${window.location.pathname}#${SHARE_PARAM}=${payload}`;
+}
+
+async function copyShareLink(noteId = null) {
+    if (docKey && !confirm('This document is encrypted, but anyone with the link will be able to read it. Create a link anyway?')) return;
+    const url = await createShareLink(noteId);
+    const warning = url.length > LONG_SHARE_LINK
+        ? `\n\nThe link is ${url.length.toLocaleString()} characters long; some apps cut long links short.`
+        : '';
+    try {
+        await navigator.clipboard.writeText(url);
+        alert(`Share link copied.${warning}`);
+    } catch (err) {
+        prompt(`Copy this share link:${warning}`, url);
+    }
+}
+
+// Shows the document in the URL fragment read-only. Resolves to false if the link is unusable.
+async function openSharedView(payload) {
+    let doc;
+    try {
+        const parsed = parseDocument(await decodeSharePayload(payload));
+        if (parsed.errors.length > 0) throw new Error(formatValidationErrors(parsed.errors));
+        doc = parsed.doc;
+    } catch (err) {
+        alert(`This share link is damaged or incomplete. ${err.message}`);
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+        return false;
+    }
+    readOnly = true;
+    // A throwaway id: nothing of the shared view is ever stored.
+    UNIQUE_NOTE_ID = generateId();
+    STORAGE_KEY = STORAGE_PREFIX + UNIQUE_NOTE_ID;
+    notesData = doc.notes;
+    docMetadata = doc.metadata;
+    if (notesData.length === 0) notesData.push(createNote());
+    loadThemeCustomizations();
+    if (docMetadata.theme) applyTheme();
+
+    const title = getDocumentTitle(notesData, docMetadata);
+    document.title = `${title} (shared) · Wote`;
+    document.getElementById('share-title').textContent = title;
+    document.getElementById('share-banner').style.display = 'flex';
+    document.getElementById('menu-btn').style.display = 'none';
+    renderAllNotes();
+    return true;
+}
+
+async function saveSharedCopy() {
+    const id = generateId();
+    const now = new Date().toISOString();
+    const metadata = Object.assign({}, docMetadata, { file_id: id, created_at: now, last_modified: now });
+    try {
+        await writeStoredDocument(id, { notes: notesData, metadata });
+    } catch (err) {
+        alert(isQuotaError(err) ? 'Storage is full: the copy could not be saved.' : `The copy could not be saved. ${err.message}`);
+        return;
+    }
+    window.location.href = `${window.location.pathname}?id=${encodeURIComponent(id)}`;
+}
+
+// --- Markdown & OPML ---
+function createNote(fields = {}) {
+    return Object.assign({ id: generateId(), type: 'text', content: '', children: [], collapsed: false }, fields);
+}
+
+// Nested list, two spaces per level. Multi-line content (as each node type writes it, see
+// Node Types) continues on indented lines.
+function notesToMarkdown(notes, depth = 0) {
+    const pad = '  '.repeat(depth);
+    const lines = [];
+    notes.forEach(note => {
+        const { toMarkdown } = getNodeType(note.type);
+        const [first, ...rest] = toMarkdown ? toMarkdown(note) : (note.content || '').split('\n');
+        lines.push(`${pad}- ${first}`.trimEnd());
+        rest.forEach(line => lines.push(line ? `${pad}  ${line}` : ''));
+        if (note.children && note.children.length > 0) {
+            lines.push(notesToMarkdown(note.children, depth + 1));
+        }
+    });
+    return lines.join('\n');
+}
+
+function looksLikeMarkdown(text) {
+    return /^(#{1,6}\s|>\s)|\*\*|__|`|\[[^\]]+\]\([^)]+\)/m.test(text);
+}
+
+function markdownItemToNote(text) {
+    const task = /^\[([ xX])\]\s?(.*)$/.exec(text);
+    if (task) return createNote({ type: 'todo', content: task[2], checked: task[1] !== ' ' });
+    const image = /^!\[([^\]]*)\]\(([^)\s]*)\)$/.exec(text);
+    if (image) return createNote({ type: 'image', content: image[1] || 'Image', imageUrl: image[2] });
+    if (text.startsWith('```')) return createCodeNote(text);
+    return createNote({ type: looksLikeMarkdown(text) ? 'markdown' : 'text', content: text });
+}
+
+// The fence's info string ("```js") names the language.
+function createCodeNote(fenceLine) {
+    const language = fenceLine.trim().slice(3).trim().split(/\s+/)[0];
+    return createNote(language ? { type: 'code', language } : { type: 'code' });
+}
+
+function getIndent(line) {
+    return /^\s*/.exec(line.replace(/\t/g, '    '))[0].length;
+}
+
+// Reads nested lists (with task items, images and fenced code) into notes. Headings become
+// parents of whatever follows them; other loose paragraphs become notes at the current level.
+function markdownToNotes(text) {
+    const roots = [];
+    const headings = []; // { level, note }
+    let items = [];      // open list items: { indent, note }
+    let fence = null;    // { note, indent, lines }
+
+    const currentBlockChildren = () => headings.length ? headings[headings.length - 1].note.children : roots;
+    const openFence = (note, indent) => { fence = { note, indent, lines: [] }; };
+
+    text.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+        if (fence) {
+            if (line.trim().startsWith('```')) {
+                fence.note.content = fence.lines.join('\n');
+                fence = null;
+            } else {
+                fence.lines.push(line.slice(Math.min(fence.indent, getIndent(line))));
+            }
+            return;
+        }
+        if (!line.trim()) return;
+
+        const indent = getIndent(line);
+        const listItem = /^\s*([-*+]|\d+[.)])(?:\s+(.*))?$/.exec(line);
+        if (listItem) {
+            while (items.length && items[items.length - 1].indent >= indent) items.pop();
+            const siblings = items.length ? items[items.length - 1].note.children : currentBlockChildren();
+            const note = markdownItemToNote((listItem[2] || '').trim());
+            siblings.push(note);
+            items.push({ indent, note });
+            if (note.type === 'code') openFence(note, indent + 2);
+            return;
+        }
+
+        const trimmed = line.trim();
+        // Indented text below a list item continues it (or opens a code block inside it).
+        if (items.length && indent > items[items.length - 1].indent) {
+            const owner = items[items.length - 1].note;
+            if (trimmed.startsWith('```')) {
+                const code = createCodeNote(trimmed);
+                owner.children.push(code);
+                openFence(code, indent);
+            } else {
+                owner.content = owner.content ? `${owner.content}\n${trimmed}` : trimmed;
+                if (owner.type === 'text' && looksLikeMarkdown(owner.content)) owner.type = 'markdown';
+            }
+            return;
+        }
+
+        items = [];
+        const heading = /^(#{1,6})\s+(.*)$/.exec(trimmed);
+        if (heading) {
+            const level = heading[1].length;
+            while (headings.length && headings[headings.length - 1].level >= level) headings.pop();
+            const note = createNote({ type: 'markdown', content: trimmed });
+            currentBlockChildren().push(note);
+            headings.push({ level, note });
+        } else if (trimmed.startsWith('```')) {
+            const code = createCodeNote(trimmed);
+            currentBlockChildren().push(code);
+            openFence(code, indent);
+        } else {
+            currentBlockChildren().push(createNote({ type: looksLikeMarkdown(trimmed) ? 'markdown' : 'text', content: trimmed }));
+        }
+    });
+
+    if (fence) fence.note.content = fence.lines.join('\n');
+    return roots;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/\n/g, '&#10;');
+}
+
+// Wote-specific state uses underscore attributes (as other outliners do for _complete).
+function notesToOpml(notes, metadata) {
+    const renderOutline = (note, depth) => {
+        const pad = '    '.repeat(depth + 2);
+        const attrs = [`text="${escapeXml(note.content || '')}"`];
+        if (note.type && note.type !== 'text') attrs.push(`_type="${note.type}"`);
+        const { toOpml } = getNodeType(note.type);
+        if (toOpml) Object.entries(toOpml(note)).forEach(([name, value]) => attrs.push(`${name}="${escapeXml(value)}"`));
+        if (note.collapsed) attrs.push('_collapsed="true"');
+
+        if (!note.children || note.children.length === 0) return `${pad}<outline ${attrs.join(' ')}/>`;
+        const children = note.children.map(child => renderOutline(child, depth + 1)).join('\n');
+        return `${pad}<outline ${attrs.join(' ')}>\n${children}\n${pad}</outline>`;
+    };
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<opml version="2.0">',
+        '    <head>',
+        `        <title>${escapeXml(getDocumentTitle(notes, metadata))}</title>`,
+        metadata.created_at ? `        <dateCreated>${new Date(metadata.created_at).toUTCString()}</dateCreated>` : null,
+        metadata.last_modified ? `        <dateModified>${new Date(metadata.last_modified).toUTCString()}</dateModified>` : null,
+        '    </head>',
+        '    <body>',
+        ...notes.map(note => renderOutline(note, 0)),
+        '    </body>',
+        '</opml>'
+    ].filter(line => line !== null).join('\n');
+}
+
+function opmlToNotes(text) {
+    const xml = new DOMParser().parseFromString(text, 'application/xml');
+    if (xml.querySelector('parsererror')) throw new Error('The file is not valid XML.');
+    const body = xml.querySelector('opml > body');
+    if (!body) throw new Error('The file has no OPML <body>.');
+
+    const readOutlines = (parentEl) => Array.from(parentEl.children)
+        .filter(el => el.tagName === 'outline')
+        .map(el => {
+            const type = el.getAttribute('_type');
+            const note = createNote({
+                type: isNodeType(type) ? type : 'text',
+                content: el.getAttribute('text') || '',
+                collapsed: el.getAttribute('_collapsed') === 'true'
+            });
+            // Plain OPML keeps extra text in _note; fold it into the content.
+            const extra = el.getAttribute('_note');
+            if (extra) note.content = note.content ? `${note.content}\n${extra}` : extra;
+            // Other outliners mark any finished item with _complete.
+            if (el.getAttribute('_complete') === 'true') note.type = 'todo';
+            const { fromOpml } = getNodeType(note.type);
+            if (fromOpml) fromOpml(el, note);
+            note.children = readOutlines(el);
+            return note;
+        });
+
+    return readOutlines(body);
+}
+
+// --- Data Utilities ---
+function findNoteAndParent(notesArray, id) {
+    for (const note of notesArray) {
+        if (note.id === id) return { note, parentArray: notesArray };
+        if (note.children && note.children.length > 0) {
+            const result = findNoteAndParent(note.children, id);
+            if (result) return result;
+        }
+    }
+    return null;
+}
+
+function findNoteById(notesArray, id) {
+    const result = findNoteAndParent(notesArray, id);
+    return result ? result.note : null;
+}
+
+// Returns the chain of ancestor notes above `id` (outermost first), or null if it is not in the tree.
+function findAncestors(notesArray, id, ancestors = []) {
+    for (const note of notesArray) {
+        if (note.id === id) return ancestors;
+        if (note.children && note.children.length > 0) {
+            const result = findAncestors(note.children, id, [...ancestors, note]);
+            if (result) return result;
+        }
+    }
+    return null;
+}
+
+function locateNote(id) {
+    const result = findNoteAndParent(notesData, id);
+    if (!result) return null;
+    const { note, parentArray } = result;
+    const parentNote = parentArray === notesData ? null : findParentNoteOfArray(notesData, parentArray);
+    return { note, parentArray, parentId: parentNote ? parentNote.id : null, index: parentArray.indexOf(note) };
+}
+
+function getChildArray(parentId) {
+    if (parentId === null) return notesData;
+    const parent = findNoteById(notesData, parentId);
+    return parent ? parent.children : null;
+}
+
+function updateNoteData(id, updates, coalesceKey = null) {
+    if (!findNoteById(notesData, id)) return;
+    executeCommand([{ type: 'set', id, values: updates }], { focusBefore: id, coalesceKey });
+}
+
+// --- Cross-Tab Sync ---
+// Tabs showing the same document share one stored record. Each tab remembers the stored
+// text it last read or wrote (the sync base) and merges newer stored versions into its live
+// tree node by node: a change made on only one side wins, a note edited on both sides keeps
+// this tab's version and gets the other tab's version as a flagged copy right after it.
+let syncBaseText = null;
+
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function getOwnFields(note) {
+    const { children, ...own } = note;
+    TRANSIENT_NODE_FIELDS.forEach(key => delete own[key]);
+    return own;
+}
+
+// id -> { note, parentId, fields } plus, per parent id (null for roots), the ordered child ids.
+function flattenNotes(notes) {
+    const nodes = new Map();
+    const childIds = new Map();
+    const walk = (list, parentId) => {
+        childIds.set(parentId, list.map(note => note.id));
+        list.forEach(note => {
+            nodes.set(note.id, { note, parentId, fields: stableStringify(getOwnFields(note)) });
+            if (note.children) walk(note.children, note.id);
+        });
+    };
+    walk(notes, null);
+    return { nodes, childIds };
+}
+
+// Order-independent fingerprint of a tree's persisted content.
+function getNotesFingerprint(notes) {
+    return stableStringify(notes.map(function own(note) {
+        return [getOwnFields(note), (note.children || []).map(own)];
+    }));
+}
+
+function getStructureKey(notes) {
+    const { childIds } = flattenNotes(notes);
+    return JSON.stringify(Array.from(childIds.entries()));
+}
+
+function copyRemoteNote(remoteNote) {
+    return Object.assign(getOwnFields(remoteNote), { children: [] });
+}
+
+// Merges a newer stored version of this document into notesData/docMetadata in place, reusing
+// the live note objects so unchanged rows keep their elements. Returns true if anything changed.
+function mergeRemoteDocument(remoteText) {
+    let remote;
+    try {
+        const parsed = parseDocument(remoteText);
+        if (parsed.errors.length > 0) return false;
+        remote = parsed.doc;
+    } catch (err) {
+        return false;
+    }
+    let baseNotes = [];
+    try {
+        if (syncBaseText) baseNotes = parseDocument(syncBaseText).doc.notes;
+    } catch (err) {
+        baseNotes = [];
+    }
+
+    const base = flattenNotes(baseNotes);
+    const local = flattenNotes(notesData);
+    const theirs = flattenNotes(remote.notes);
+    const structureBefore = getStructureKey(notesData);
+    const contentBefore = getNotesFingerprint(notesData);
+
+    const kept = new Map();   // id -> { note, parentId }
+    const conflicts = [];     // { id, copy }
+    const restored = [];
+
+    for (const id of new Set([...local.nodes.keys(), ...theirs.nodes.keys()])) {
+        const b = base.nodes.get(id);
+        const l = local.nodes.get(id);
+        const r = theirs.nodes.get(id);
+
+        if (l && !r) {
+            // Deleted in the other tab: accept unless it is new or edited here.
+            if (!b || l.fields !== b.fields) kept.set(id, { note: l.note, parentId: l.parentId });
+            continue;
+        }
+        if (r && !l) {
+            // New in the other tab, or deleted here; a deletion loses to an edit made there.
+            if (!b) kept.set(id, { note: copyRemoteNote(r.note), parentId: r.parentId });
+            else if (r.fields !== b.fields) {
+                kept.set(id, { note: copyRemoteNote(r.note), parentId: r.parentId });
+                restored.push(id);
+            }
+            continue;
+        }
+
+        const localChanged = !b || l.fields !== b.fields;
+        const remoteChanged = !b || r.fields !== b.fields;
+        if (r.fields !== l.fields) {
+            if (!localChanged) {
+                const remoteFields = getOwnFields(r.note);
+                Object.keys(getOwnFields(l.note)).forEach(key => {
+                    if (!(key in remoteFields)) delete l.note[key];
+                });
+                Object.assign(l.note, remoteFields);
+            } else if (remoteChanged) {
+                const copy = copyRemoteNote(r.note);
+                copy.id = generateId();
+                copy.syncConflict = true;
+                conflicts.push({ id, copy });
+            }
+        }
+        const movedHere = !b || l.parentId !== b.parentId;
+        const movedThere = b && r.parentId !== b.parentId;
+        kept.set(id, { note: l.note, parentId: movedThere && !movedHere ? r.parentId : l.parentId });
+    }
+
+    // Notes whose parent did not survive move up to the nearest surviving ancestor.
+    const ancestorsOf = (id) => {
+        const chain = [];
+        for (const tree of [local, theirs]) {
+            let entry = tree.nodes.get(id);
+            while (entry && entry.parentId !== null) {
+                chain.push(entry.parentId);
+                entry = tree.nodes.get(entry.parentId);
+            }
+        }
+        return chain;
+    };
+    kept.forEach((entry, id) => {
+        if (entry.parentId === null || kept.has(entry.parentId)) return;
+        entry.parentId = ancestorsOf(id).find(ancestorId => kept.has(ancestorId)) || null;
+    });
+
+    // Child order: take the other tab's order where only it reordered a list, otherwise ours,
+    // slotting in notes that only the other tab placed there after their previous sibling.
+    const orderedChildren = (parentId) => {
+        const placedHere = (id) => kept.has(id) && kept.get(id).parentId === parentId;
+        const baseList = JSON.stringify(base.childIds.get(parentId) || []);
+        const localList = local.childIds.get(parentId) || [];
+        const remoteList = (theirs.childIds.get(parentId) || []).filter(placedHere);
+        let order;
+        if (JSON.stringify(localList) === baseList) {
+            order = remoteList.slice();
+        } else {
+            order = localList.filter(placedHere);
+            remoteList.forEach((id, i) => {
+                if (order.includes(id)) return;
+                const after = remoteList.slice(0, i).reverse().find(prev => order.includes(prev));
+                order.splice(after ? order.indexOf(after) + 1 : 0, 0, id);
+            });
+        }
+        kept.forEach((entry, id) => {
+            if (entry.parentId === parentId && !order.includes(id)) order.push(id);
+        });
+        return order.map(id => kept.get(id).note);
+    };
+
+    kept.forEach((entry, id) => {
+        entry.note.children = orderedChildren(id);
+    });
+    notesData.splice(0, notesData.length, ...orderedChildren(null));
+
+    conflicts.forEach(({ id, copy }) => {
+        const siblings = kept.get(id).parentId === null ? notesData : kept.get(kept.get(id).parentId).note.children;
+        siblings.splice(siblings.indexOf(kept.get(id).note) + 1, 0, copy);
+    });
+
+    Object.assign(docMetadata, remote.metadata);
+    syncBaseText = remoteText;
+
+    // Queued undo steps address notes by position; they cannot survive a structural merge.
+    if (getStructureKey(notesData) !== structureBefore) clearHistory();
+    if (conflicts.length > 0 || restored.length > 0) showSyncNotice(conflicts.length, restored.length);
+
+    return getNotesFingerprint(notesData) !== contentBefore;
+}
+
+// Returns { noteId, offset } for the caret inside a note, so it can be put back after a re-render.
+function captureCaret() {
+    const active = document.activeElement;
+    if (!active || !active.classList.contains('note-content')) return null;
+    const noteEl = active.closest('.note');
+    const sel = window.getSelection();
+    if (!noteEl || sel.rangeCount === 0) return { noteId: noteEl && noteEl.dataset.id, element: active, offset: 0 };
+    const range = sel.getRangeAt(0);
+    const before = range.cloneRange();
+    before.selectNodeContents(active);
+    before.setEnd(range.endContainer, range.endOffset);
+    return { noteId: noteEl.dataset.id, element: active, offset: before.toString().length };
+}
+
+function restoreCaret(caret) {
+    if (!caret || !caret.noteId) return;
+    const entry = renderedNodes.get(caret.noteId);
+    const el = entry && entry.el.isConnected ? entry.row.querySelector('.note-content') : null;
+    if (!el || el === caret.element) return;
+
+    el.focus();
+    let remaining = caret.offset;
+    const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+    const range = document.createRange();
+    range.selectNodeContents(el);
+    range.collapse(false);
+    while (walker.nextNode()) {
+        const length = walker.currentNode.textContent.length;
+        if (remaining <= length) {
+            range.setStart(walker.currentNode, remaining);
+            range.collapse(true);
+            break;
+        }
+        remaining -= length;
+    }
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+}
+
+function refreshAfterSync() {
+    const caret = captureCaret();
+    renderAllNotes();
+    restoreCaret(caret);
+}
+
+function showSyncMessage(text) {
+    const notice = document.getElementById('sync-notice');
+    const message = document.getElementById('sync-notice-text');
+    if (!notice || !message) return;
+    message.textContent = text;
+    notice.style.display = 'block';
+}
+
+function showSyncNotice(conflictCount, restoredCount) {
+    const parts = [];
+    if (conflictCount > 0) {
+        parts.push(`${conflictCount} note${conflictCount === 1 ? ' was' : 's were'} edited here and in another tab at the same time. ` +
+            `The other tab's version was added right after yours and is outlined until you dismiss this.`);
+    }
+    if (restoredCount > 0) {
+        parts.push(`${restoredCount} note${restoredCount === 1 ? '' : 's'} you deleted ${restoredCount === 1 ? 'was' : 'were'} still being edited in another tab and came back.`);
+    }
+    showSyncMessage(parts.join(' '));
+}
+
+// The flags only mark notes on screen, so clearing them is not an undo step.
+function dismissSyncNotice() {
+    const notice = document.getElementById('sync-notice');
+    if (notice) notice.style.display = 'none';
+    let cleared = false;
+    walkNotes(notesData, note => {
+        if (!note.syncConflict) return;
+        delete note.syncConflict;
+        cleared = true;
+    });
+    if (cleared) renderAllNotes();
+}
+
+// Other tabs announce every write on this channel; the storage event is the fallback
+// for browsers without BroadcastChannel (and only covers the localStorage backend).
+const syncChannel = window.BroadcastChannel ? new BroadcastChannel('wote-sync') : null;
+
+function broadcastDocument(id, text) {
+    if (syncChannel) syncChannel.postMessage({ id, text });
+}
+
+function handleSyncMessage(event) {
+    if (event.data && event.data.id === UNIQUE_NOTE_ID) receiveRemoteVersion(event.data.text);
+}
+
+function handleStorageEvent(event) {
+    if (syncChannel || event.storageArea !== localStorage || event.key !== STORAGE_KEY) return;
+    receiveRemoteVersion(event.newValue);
+}
+
+function receiveRemoteVersion(text) {
+    if (text === null) {
+        showSyncMessage("This document was deleted in another tab. Keep editing here to bring it back.");
+        syncBaseText = null;
+        return;
+    }
+    if (isSealedText(text)) {
+        if (text !== sealedBaseText) receiveSealedVersion(text);
+        return;
+    }
+    if (docKey) {
+        showSyncMessage('Encryption was removed in another tab. Reload the document to keep editing.');
+        return;
+    }
+    mergeRemoteText(text);
+}
+
+function mergeRemoteText(text) {
+    if (text === syncBaseText) return;
+
+    if (mergeRemoteDocument(text)) refreshAfterSync();
+    // Write back only if this tab still holds something the stored version lacks.
+    if (syncBaseText === text && getNotesFingerprint(notesData) !== getNotesFingerprint(parseDocument(text).doc.notes)) {
+        saveNotes();
+    }
+}
+
+// --- History (Undo/Redo) ---
+// Every change to the tree is a list of primitive ops. Applying an op returns its inverse,
+// so a history entry can flip between its undo and redo lists indefinitely.
+//   { type: 'insert', parentId, index, node }   parentId null means the root list
+//   { type: 'remove', parentId, index }
+//   { type: 'set', id, values }
+const HISTORY_LIMIT = 200;
+const TYPING_COALESCE_MS = 1000;
+let undoStack = [];
+let redoStack = [];
+let activeBatch = null; // commands collected by runBatch()
+
+function applyOp(op) {
+    if (op.type === 'set') {
+        const note = findNoteById(notesData, op.id);
+        const previous = {};
+        for (const key of Object.keys(op.values)) previous[key] = note[key];
+        Object.assign(note, op.values);
+        return { type: 'set', id: op.id, values: previous };
+    }
+    const siblings = getChildArray(op.parentId);
+    if (op.type === 'insert') {
+        siblings.splice(op.index, 0, op.node);
+        return { type: 'remove', parentId: op.parentId, index: op.index };
+    }
+    const [node] = siblings.splice(op.index, 1);
+    return { type: 'insert', parentId: op.parentId, index: op.index, node };
+}
+
+// Applies ops in order and returns the ops that revert them.
+function runOps(ops) {
+    return ops.map(applyOp).reverse();
+}
+
+// focusBefore/focusAfter are the node ids to focus after an undo/redo of this change.
+// Consecutive changes sharing a coalesceKey (typing in one note) collapse into one step.
+function executeCommand(ops, { focusBefore = null, focusAfter = focusBefore, coalesceKey = null } = {}) {
+    const inverse = runOps(ops);
+    if (activeBatch) {
+        activeBatch.push({ ops, inverse });
+        saveNotes();
+        return;
+    }
+    const now = Date.now();
+    const last = undoStack[undoStack.length - 1];
+
+    if (coalesceKey && last && last.coalesceKey === coalesceKey && redoStack.length === 0 && now - last.time < TYPING_COALESCE_MS) {
+        last.ops = ops;
+        last.time = now;
+    } else {
+        undoStack.push({ ops, inverse, focusBefore, focusAfter, coalesceKey, time: now });
+        if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    }
+    redoStack = [];
+    saveNotes();
+}
+
+// Stops the latest entry from absorbing further typing, e.g. at the end of a word.
+function sealHistory() {
+    const last = undoStack[undoStack.length - 1];
+    if (last) last.coalesceKey = null;
+}
+
+// Runs several commands (e.g. one per selected note) as a single undo step with one render at
+// the end. Each command still sees the tree as the previous one left it.
+function runBatch(work, focusId) {
+    activeBatch = [];
+    isRendering = true;
+    let batch;
+    try {
+        work();
+    } finally {
+        isRendering = false;
+        renderPending = false;
+        batch = activeBatch;
+        activeBatch = null;
+    }
+    if (batch.length > 0) {
+        undoStack.push({
+            ops: batch.flatMap(command => command.ops),
+            inverse: batch.map(command => command.inverse).reverse().flat(),
+            focusBefore: focusId,
+            focusAfter: focusId,
+            coalesceKey: null,
+            time: Date.now()
+        });
+        if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+        redoStack = [];
+    }
+    renderAllNotes();
+    setTimeout(() => focusNote(focusId), 0);
+}
+
+function clearHistory() {
+    undoStack = [];
+    redoStack = [];
+}
+
+function undo() {
+    const entry = undoStack.pop();
+    if (!entry) return;
+    entry.ops = runOps(entry.inverse);
+    entry.coalesceKey = null;
+    redoStack.push(entry);
+    saveNotes();
+    renderAllNotes();
+    announce('Undone');
+    setTimeout(() => focusNote(entry.focusBefore), 0);
+}
+
+function redo() {
+    const entry = redoStack.pop();
+    if (!entry) return;
+    entry.inverse = runOps(entry.ops);
+    undoStack.push(entry);
+    saveNotes();
+    renderAllNotes();
+    announce('Redone');
+    setTimeout(() => focusNote(entry.focusAfter), 0);
+}
+
+// --- Revision History ---
+// Each document keeps a capped list of snapshots beside it. A snapshot is the tree flattened
+// to { roots, nodes: { id: fields + child ids } }. Only the oldest one is stored whole; every
+// later one stores the nodes that changed since the snapshot before it:
+//   { time, base: tree }  or  { time, diff: { roots?, set: { id: node }, del: [ids] } }
+// Snapshots are taken when a document is opened and then at most every REVISION_INTERVAL_MS
+// while it is being edited.
+const REVISION_INTERVAL_MS = 5 * 60 * 1000;
+const REVISION_LIMIT = 100;
+const REVISION_MAX_BYTES = 1024 * 1024;
+
+let lastRevisionTime = 0;
+let revisionPromise = Promise.resolve();
+let revisionError = null; // why the open document's history could not be read or extended, for the history panel
+let historySnapshots = [];   // expanded snapshots shown in the history browser
+let historySelected = -1;
+
+function toRevisionTree(notes) {
+    const nodes = {};
+    const walk = (list) => list.map(note => {
+        nodes[note.id] = Object.assign(getOwnFields(note), { children: walk(note.children || []) });
+        return note.id;
+    });
+    return { roots: walk(notes), nodes };
+}
+
+// Rebuilds the nested notes below `ids` (the roots by default).
+function fromRevisionTree(tree, ids = tree.roots) {
+    return ids.filter(id => tree.nodes[id]).map(id => {
+        const record = tree.nodes[id];
+        return Object.assign({}, record, { children: fromRevisionTree(tree, record.children) });
+    });
+}
+
+function diffRevisionTrees(previous, next) {
+    const diff = { set: {}, del: [] };
+    if (JSON.stringify(previous.roots) !== JSON.stringify(next.roots)) diff.roots = next.roots;
+    for (const [id, record] of Object.entries(next.nodes)) {
+        if (!previous.nodes[id] || stableStringify(previous.nodes[id]) !== stableStringify(record)) diff.set[id] = record;
+    }
+    diff.del = Object.keys(previous.nodes).filter(id => !next.nodes[id]);
+    return diff;
+}
+
+function applyRevisionDiff(tree, diff) {
+    const nodes = Object.assign({}, tree.nodes, diff.set);
+    diff.del.forEach(id => delete nodes[id]);
+    return { roots: diff.roots || tree.roots, nodes };
+}
+
+function getRevisionRecords(revision) {
+    return Object.values(revision.base ? revision.base.nodes : revision.diff.set);
+}
+
+async function readRevisions(id) {
+    try {
+        let text = await storage.getRevisions(id);
+        // Other documents' sealed histories stay unread; the open one's key opens its own.
+        if (isSealedText(text)) {
+            if (id !== UNIQUE_NOTE_ID || !docKey) return [];
+            text = await openSealedText(parseSealedText(text), docKey);
+        }
+        const parsed = text ? JSON.parse(text) : null;
+        return parsed && Array.isArray(parsed.revisions) ? parsed.revisions : [];
+    } catch (err) {
+        if (id === UNIQUE_NOTE_ID) revisionError = 'The saved history of this document could not be read.';
+        return [];
+    }
+}
+
+async function writeRevisions(id, revisions) {
+    let text = JSON.stringify({ version: 1, revisions });
+    if (id === UNIQUE_NOTE_ID && docKey) {
+        const imageIds = new Set(revisions.flatMap(getRevisionRecords).map(record => record.imageId).filter(Boolean));
+        text = await sealText(text, docKey, Array.from(imageIds));
+    }
+    await storage.putRevisions(id, text);
+}
+
+// [{ time, base | diff }] -> [{ time, tree }]
+function expandRevisions(revisions) {
+    let tree = null;
+    return revisions.map(revision => {
+        tree = revision.base ? revision.base : applyRevisionDiff(tree, revision.diff);
+        return { time: revision.time, tree };
+    });
+}
+
+function compactRevisions(snapshots) {
+    return snapshots.map((snapshot, i) => i === 0
+        ? { time: snapshot.time, base: snapshot.tree }
+        : { time: snapshot.time, diff: diffRevisionTrees(snapshots[i - 1].tree, snapshot.tree) });
+}
+
+// Adds a snapshot of the current tree unless it matches the latest one. Dropping the oldest
+// snapshots keeps the history within REVISION_LIMIT and REVISION_MAX_BYTES.
+function recordRevision() {
+    const id = UNIQUE_NOTE_ID;
+    const tree = toRevisionTree(notesData);
+    const time = new Date().toISOString();
+    lastRevisionTime = Date.now();
+    revisionPromise = revisionPromise.then(async () => {
+        revisionError = null;
+        const snapshots = expandRevisions(await readRevisions(id));
+        const latest = snapshots[snapshots.length - 1];
+        if (latest && stableStringify(latest.tree) === stableStringify(tree)) return;
+        snapshots.push({ time, tree });
+        const revisions = compactRevisions(snapshots);
+        // The size is kept as a running total: dropping the oldest revision only turns the next
+        // one from a diff into a base.
+        const sizes = revisions.map(revision => JSON.stringify(revision).length + 1);
+        let total = sizes.reduce((sum, size) => sum + size, 0);
+        let first = 0;
+        while (revisions.length - first > 1 && (revisions.length - first > REVISION_LIMIT || total > REVISION_MAX_BYTES)) {
+            total -= sizes[first] + sizes[first + 1];
+            first++;
+            revisions[first] = { time: snapshots[first].time, base: snapshots[first].tree };
+            sizes[first] = JSON.stringify(revisions[first]).length + 1;
+            total += sizes[first];
+        }
+        await writeRevisions(id, revisions.slice(first));
+    }).catch(err => {
+        // History is a safety net: failing to extend it must not get in the way of saving.
+        revisionError = `The latest snapshot could not be saved (${err.message}).`;
+    });
+    return revisionPromise;
+}
+
+function maybeRecordRevision() {
+    if (Date.now() - lastRevisionTime >= REVISION_INTERVAL_MS) recordRevision();
+}
+
+function getRevisionParents(tree) {
+    const parents = new Map();
+    tree.roots.forEach(id => parents.set(id, null));
+    Object.entries(tree.nodes).forEach(([id, record]) => record.children.forEach(childId => parents.set(childId, id)));
+    return parents;
+}
+
+// Counts the notes of a subtree in `tree` that `other` doesn't have.
+function countMissingNodes(tree, other, id) {
+    const record = tree.nodes[id];
+    if (!record) return 0;
+    return (other.nodes[id] ? 0 : 1) + record.children.reduce((sum, childId) => sum + countMissingNodes(tree, other, childId), 0);
+}
+
+// Node-by-node changes from a snapshot to the current tree. Inside a deleted or added branch
+// only its top note is listed (with how many notes went with it).
+function compareRevisionWithCurrent(tree) {
+    const current = toRevisionTree(notesData);
+    const oldParents = getRevisionParents(tree);
+    const newParents = getRevisionParents(current);
+    const changes = [];
+    const fields = (record) => {
+        const { children, ...own } = record;
+        return stableStringify(own);
+    };
+
+    // Notes that survived inside a deleted branch are still reported as moved or changed.
+    const walkOld = (ids, insideDeleted) => ids.forEach(id => {
+        const before = tree.nodes[id];
+        if (!before) return;
+        const after = current.nodes[id];
+        if (!after) {
+            if (!insideDeleted) changes.push({ kind: 'deleted', id, before, count: countMissingNodes(tree, current, id) });
+            walkOld(before.children, true);
+            return;
+        }
+        if (fields(before) !== fields(after)) changes.push({ kind: 'changed', id, before, after });
+        if (oldParents.get(id) !== newParents.get(id)) changes.push({ kind: 'moved', id, before, after });
+        walkOld(before.children, false);
+    });
+    walkOld(tree.roots, false);
+
+    const walkNew = (ids, insideAdded) => ids.forEach(id => {
+        const after = current.nodes[id];
+        const isNew = !tree.nodes[id];
+        if (isNew && !insideAdded) changes.push({ kind: 'added', id, after, count: countMissingNodes(current, tree, id) });
+        walkNew(after.children, isNew);
+    });
+    walkNew(current.roots, false);
+    return changes;
+}
+
+function walkNotes(list, visit) {
+    list.forEach(note => {
+        visit(note);
+        walkNotes(note.children || [], visit);
+    });
+}
+
+// Swaps a note (or re-inserts a deleted one) for its version in the snapshot, as one undo step.
+function restoreRevisionSubtree(tree, id) {
+    const location = locateNote(id);
+    const replaced = new Set();
+    if (location) walkNotes([location.note], note => replaced.add(note.id));
+    // Notes since moved elsewhere in the tree stay where they are rather than appearing twice.
+    const keep = (list) => list
+        .filter(note => replaced.has(note.id) || !findNoteById(notesData, note.id))
+        .map(note => Object.assign(note, { children: keep(note.children) }));
+    const [restored] = keep(fromRevisionTree(tree, [id]));
+    if (!restored) return;
+
+    // It goes back under its old parent if that still exists outside the restored subtree;
+    // otherwise it stays where it is now (or, if deleted, goes to the end of the roots).
+    const oldParentId = getRevisionParents(tree).get(id);
+    const canReturn = oldParentId === null || (findNoteById(notesData, oldParentId) && !replaced.has(oldParentId));
+    const ops = [];
+    if (location) ops.push({ type: 'remove', parentId: location.parentId, index: location.index });
+    let parentId = null;
+    let index = notesData.length;
+    if (canReturn) {
+        parentId = oldParentId;
+        const oldSiblings = parentId === null ? tree.roots : tree.nodes[parentId].children;
+        const available = getChildArray(parentId).length - (location && location.parentId === parentId ? 1 : 0);
+        index = Math.min(oldSiblings.indexOf(id), available);
+    } else if (location) {
+        ({ parentId, index } = location);
+    }
+    const depth = parentId === null ? 0 : findAncestors(notesData, parentId).length + 1;
+    if (depth + getSubtreeHeight(restored) > MAX_DEPTH) {
+        alert(`Cannot restore this note: it would be nested deeper than ${MAX_DEPTH} levels.`);
+        return;
+    }
+    ops.push({ type: 'insert', parentId, index, node: restored });
+    recordRevision();
+    executeCommand(ops, { focusBefore: location ? id : null, focusAfter: restored.id });
+    revealNote(restored.id);
+    renderHistoryDiff();
+}
+
+function restoreRevisionDocument(tree) {
+    if (!confirm('Replace the whole document with this version? Ctrl + Z undoes it.')) return;
+    const notes = fromRevisionTree(tree);
+    if (notes.length === 0) return;
+    const ops = notesData.map((_, i) => ({ type: 'remove', parentId: null, index: notesData.length - 1 - i }));
+    notes.forEach((node, index) => ops.push({ type: 'insert', parentId: null, index, node }));
+    recordRevision();
+    executeCommand(ops, { focusAfter: notes[0].id });
+    if (zoomRootId && !findNoteById(notesData, zoomRootId)) {
+        zoomRootId = null;
+        setZoomParam(null, false);
+    }
+    renderAllNotes();
+    renderHistoryDiff();
+}
+
+function summariseRevisionDiff(diff) {
+    const parts = [];
+    const changed = Object.keys(diff.set).length;
+    if (changed) parts.push(`${changed} changed`);
+    if (diff.del.length) parts.push(`${diff.del.length} deleted`);
+    return parts.join(', ') || 'reordered';
+}
+
+async function openHistory() {
+    const panel = document.getElementById('history-panel');
+    if (!panel) return;
+    await flushSave();
+    await revisionPromise;
+    const revisions = await readRevisions(UNIQUE_NOTE_ID);
+    historySnapshots = expandRevisions(revisions).map((snapshot, i) => Object.assign(snapshot, {
+        summary: i === 0 ? `${Object.keys(snapshot.tree.nodes).length} notes` : summariseRevisionDiff(revisions[i].diff)
+    }));
+    historySelected = historySnapshots.length - 1;
+    panel.style.display = 'block';
+    renderHistoryTimeline();
+    renderHistoryDiff();
+}
+
+function closeHistory() {
+    const panel = document.getElementById('history-panel');
+    if (panel) panel.style.display = 'none';
+    historySnapshots = [];
+}
+
+function renderHistoryTimeline() {
+    const list = document.getElementById('history-timeline');
+    if (!list) return;
+    list.innerHTML = '';
+    if (revisionError) {
+        const notice = document.createElement('li');
+        notice.className = 'history-error';
+        notice.textContent = revisionError;
+        list.appendChild(notice);
+    }
+    if (historySnapshots.length === 0) {
+        list.append('No snapshots yet. One is taken when a document is opened and every few minutes while editing.');
+        return;
+    }
+    // Newest first
+    for (let i = historySnapshots.length - 1; i >= 0; i--) {
+        const snapshot = historySnapshots[i];
+        const item = document.createElement('li');
+        item.className = 'history-item';
+        if (i === historySelected) item.classList.add('active');
+        const time = document.createElement('span');
+        time.className = 'history-time';
+        time.textContent = formatDate(snapshot.time);
+        const summary = document.createElement('span');
+        summary.className = 'history-summary';
+        summary.textContent = snapshot.summary;
+        item.append(time, summary);
+        item.addEventListener('click', () => {
+            historySelected = i;
+            renderHistoryTimeline();
+            renderHistoryDiff();
+        });
+        list.appendChild(item);
+    }
+}
+
+const HISTORY_CHANGE_LABELS = { changed: 'Changed', deleted: 'Deleted since', added: 'Added since', moved: 'Moved' };
+
+function renderHistoryDiff() {
+    const view = document.getElementById('history-diff');
+    const snapshot = historySnapshots[historySelected];
+    if (!view) return;
+    view.innerHTML = '';
+    if (!snapshot) return;
+
+    const changes = compareRevisionWithCurrent(snapshot.tree);
+    const header = document.createElement('div');
+    header.className = 'history-diff-header';
+    const title = document.createElement('span');
+    title.textContent = changes.length === 0
+        ? `${formatDate(snapshot.time)} matches the current document.`
+        : `${formatDate(snapshot.time)} compared with now: ${changes.length} difference${changes.length === 1 ? '' : 's'}`;
+    header.appendChild(title);
+    if (changes.length > 0) {
+        const restoreAll = document.createElement('button');
+        restoreAll.textContent = 'Restore whole document';
+        restoreAll.addEventListener('click', () => restoreRevisionDocument(snapshot.tree));
+        header.appendChild(restoreAll);
+    }
+    view.appendChild(header);
+
+    changes.forEach(change => {
+        const row = document.createElement('div');
+        row.className = `history-change ${change.kind}`;
+        const label = document.createElement('span');
+        label.className = 'history-kind';
+        label.textContent = HISTORY_CHANGE_LABELS[change.kind];
+        const name = document.createElement('span');
+        name.className = 'history-note';
+        name.textContent = getNoteTitle(change.before || change.after) + (change.count > 1 ? ` (+${change.count - 1} below)` : '');
+        row.append(label, name);
+
+        if (change.kind === 'added') {
+            const show = document.createElement('button');
+            show.textContent = 'Show';
+            show.addEventListener('click', () => revealNote(change.id));
+            row.appendChild(show);
+        } else {
+            const restore = document.createElement('button');
+            restore.textContent = 'Restore subtree';
+            restore.title = "Put back this note and everything below it as they were in this version";
+            restore.addEventListener('click', () => restoreRevisionSubtree(snapshot.tree, change.id));
+            row.appendChild(restore);
+        }
+
+        if (change.kind === 'changed' && change.before.content !== change.after.content) {
+            const before = document.createElement('pre');
+            before.className = 'history-old';
+            before.textContent = change.before.content || '';
+            const after = document.createElement('pre');
+            after.className = 'history-new';
+            after.textContent = change.after.content || '';
+            row.append(before, after);
+        } else if (change.kind === 'changed') {
+            const detail = document.createElement('span');
+            detail.className = 'history-detail';
+            detail.textContent = describeFieldChanges(change.before, change.after);
+            row.appendChild(detail);
+        }
+        view.appendChild(row);
+    });
+}
+
+function describeFieldChanges(before, after) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return Array.from(keys)
+        .filter(key => key !== 'children' && key !== 'content' && stableStringify(before[key]) !== stableStringify(after[key]))
+        .map(key => `${key}: ${before[key] === undefined ? '—' : before[key]} → ${after[key] === undefined ? '—' : after[key]}`)
+        .join(', ');
+}
+
+// --- Navigation & Structure Logic ---
+function addNewSibling(noteId) {
+    const location = locateNote(noteId);
+    if (!location) return;
+    const { note, parentId, index } = location;
+    // The zoomed-in note has no visible siblings; Enter there starts its first child instead.
+    const atZoomRoot = noteId === zoomRootId;
+
+    const newNote = { 
+        id: generateId(), 
+        type: note.type || 'text', 
+        content: '', 
+        children: [],
+        collapsed: false
+    };
+    newNote.type = getNodeType(newNote.type).siblingType || newNote.type;
+
+    const insert = atZoomRoot
+        ? { type: 'insert', parentId: noteId, index: 0, node: newNote }
+        : { type: 'insert', parentId, index: index + 1, node: newNote };
+    executeCommand([insert], { focusBefore: noteId, focusAfter: newNote.id });
+    renderAllNotes();
+    announce(atZoomRoot ? 'New note added inside' : 'New note added below');
+    setTimeout(() => focusNote(newNote.id), 0);
+}
+
+function increaseNoteDepth(noteId) {
+    const location = locateNote(noteId);
+    if (!location || location.index === 0 || noteId === zoomRootId) return;
+    const { note, parentArray, parentId, index } = location;
+    const previousSibling = parentArray[index - 1];
+
+    executeCommand([
+        { type: 'set', id: previousSibling.id, values: { collapsed: false } },
+        { type: 'remove', parentId, index },
+        { type: 'insert', parentId: previousSibling.id, index: previousSibling.children.length, node: note }
+    ], { focusBefore: noteId });
+    renderAllNotes();
+    announce(`Indented under "${getNoteTitle(previousSibling)}"`);
+    setTimeout(() => focusNote(noteId), 0);
+}
+
+function decreaseNoteDepth(noteId) {
+    const location = locateNote(noteId);
+    if (!location || location.parentId === null) return;
+    // Outdenting the zoom root or its children would move them out of view.
+    if (noteId === zoomRootId || location.parentId === zoomRootId) return;
+    const parentLocation = locateNote(location.parentId);
+
+    executeCommand([
+        { type: 'remove', parentId: location.parentId, index: location.index },
+        { type: 'insert', parentId: parentLocation.parentId, index: parentLocation.index + 1, node: location.note }
+    ], { focusBefore: noteId });
+    renderAllNotes();
+    const newParent = parentLocation.parentId && findNoteById(notesData, parentLocation.parentId);
+    announce(newParent ? `Outdented under "${getNoteTitle(newParent)}"` : 'Outdented to the top level');
+    setTimeout(() => focusNote(noteId), 0);
+}
+
+function getSubtreeHeight(note) {
+    if (!note.children || note.children.length === 0) return 0;
+    return 1 + Math.max(...note.children.map(getSubtreeHeight));
+}
+
+// Moves a note (with its subtree) 'before', 'after' or 'inside' (as last child of) a target note.
+// Returns false when the move is impossible: onto itself, into its own subtree, or past MAX_DEPTH.
+function moveNote(noteId, targetId, position) {
+    if (noteId === targetId || noteId === zoomRootId) return false;
+    if (targetId === zoomRootId && position !== 'inside') return false;
+    const source = locateNote(noteId);
+    const target = locateNote(targetId);
+    if (!source || !target) return false;
+
+    const targetAncestors = findAncestors(notesData, targetId);
+    if (targetAncestors.some(a => a.id === noteId)) return false;
+    const newDepth = targetAncestors.length + (position === 'inside' ? 1 : 0);
+    if (newDepth + getSubtreeHeight(source.note) > MAX_DEPTH) return false;
+
+    let parentId, parentArray, index;
+    if (position === 'inside') {
+        parentId = targetId;
+        parentArray = target.note.children;
+        index = parentArray.length;
+    } else {
+        parentId = target.parentId;
+        parentArray = target.parentArray;
+        index = target.index + (position === 'after' ? 1 : 0);
+    }
+    // Removing the note first shifts later siblings in the same list up by one.
+    if (parentArray === source.parentArray && source.index < index) index--;
+    if (parentArray === source.parentArray && source.index === index) return false;
+
+    executeCommand([
+        { type: 'remove', parentId: source.parentId, index: source.index },
+        { type: 'insert', parentId, index, node: source.note }
+    ], { focusBefore: noteId });
+    renderAllNotes();
+    announce(`Moved ${position === 'inside' ? 'into' : position} "${getNoteTitle(target.note)}"`);
+    setTimeout(() => focusNote(noteId), 0);
+    return true;
+}
+
+function moveNoteAmongSiblings(noteId, offset) {
+    const location = locateNote(noteId);
+    if (!location) return;
+    const sibling = location.parentArray[location.index + offset];
+    if (sibling) moveNote(noteId, sibling.id, offset < 0 ? 'before' : 'after');
+}
+
+function findParentNoteOfArray(currentArray, targetChildArray) {
+    for (const note of currentArray) {
+        if (note.children === targetChildArray) return note;
+        if (note.children.length > 0) {
+            const found = findParentNoteOfArray(note.children, targetChildArray);
+            if (found) return found;
+        }
+    }
+    return null;
+}
+
+function deleteNote(noteId) {
+    const location = locateNote(noteId);
+    if (!location || noteId === zoomRootId) return;
+    const { note, parentArray, parentId, index } = location;
+
+    if (parentId === null && parentArray.length === 1) {
+        updateNoteData(noteId, { content: '' });
+        renderAllNotes();
+        announce('Note cleared');
+        return; 
+    } 
+    
+    // Children move up into the deleted note's place.
+    const children = note.children || []; 
+    const prev = index > 0 ? parentArray[index - 1] : (children[0] || parentArray[index + 1]);
+    executeCommand([
+        { type: 'set', id: noteId, values: { children: [] } },
+        { type: 'remove', parentId, index },
+        ...children.map((child, i) => ({ type: 'insert', parentId, index: index + i, node: child }))
+    ], { focusBefore: noteId, focusAfter: prev ? prev.id : null });
+    
+    renderAllNotes();
+    const movedUp = children.length > 0 ? `, ${countNotes(children.length)} moved up` : '';
+    announce(`Deleted "${getNoteTitle(note)}"${movedUp}`);
+    setTimeout(() => {
+        if (prev) focusNote(prev.id);
+        else document.getElementById('note-container').focus();
+    }, 0);
+}
+
+function isExpanded(note, view = {}) {
+    return !note.collapsed || printExpanded || Boolean(view.exporting) || revealedIds.has(note.id) || note.id === zoomRootId
+        || (filterView !== null && filterView.openIds.has(note.id));
+}
+
+function toggleCollapse(noteId) {
+    const note = findNoteById(notesData, noteId);
+    if (!note) return;
+    // A branch opened only to show a search hit just closes again.
+    if (!revealedIds.delete(noteId)) updateNoteData(noteId, { collapsed: !note.collapsed });
+    renderSubtree(noteId);
+    announce(isExpanded(note) ? 'Expanded' : 'Collapsed');
+}
+
+// --- Search ---
+let searchResults = [];   // hits in the open document: { note, ancestors }
+let searchIndex = -1;
+let revealedIds = new Set(); // collapsed ancestors opened temporarily to show the current hit
+
+function getSearchText(note) {
+    const { searchText } = getNodeType(note.type);
+    return searchText ? searchText(note) : note.content || '';
+}
+
+function searchNotes(notesArray, query, ancestors = [], results = []) {
+    for (const note of notesArray) {
+        if (getSearchText(note).toLowerCase().includes(query)) results.push({ note, ancestors });
+        if (note.children && note.children.length > 0) {
+            searchNotes(note.children, query, [...ancestors, note], results);
+        }
+    }
+    return results;
+}
+
+function makeSnippet(text, query, radius = 30) {
+    const flat = text.replace(/\s+/g, ' ');
+    const at = flat.toLowerCase().indexOf(query);
+    const start = Math.max(0, at - radius);
+    const end = Math.min(flat.length, at + query.length + radius);
+    return (start > 0 ? '…' : '') + flat.slice(start, end) + (end < flat.length ? '…' : '');
+}
+
+function formatAncestorPath(ancestors) {
+    return ancestors.map(a => (a.content || 'Untitled').split('\n')[0].slice(0, 30)).join(' › ');
+}
+
+function getSearchQuery() {
+    const input = document.getElementById('search-input');
+    return input ? input.value.trim().toLowerCase() : '';
+}
+
+function runSearch() {
+    const query = getSearchQuery();
+    searchResults = query ? searchNotes(notesData, query) : [];
+    searchIndex = -1;
+    revealedIds.clear();
+    renderSearchResults(query);
+    renderAllNotes();
+    if (searchResults.length > 0) goToSearchResult(0, false);
+}
+
+async function renderSearchResults(query) {
+    const list = document.getElementById('search-results');
+    const count = document.getElementById('search-count');
+    if (!list) return;
+    list.innerHTML = '';
+
+    const addItem = (path, snippet, onClick) => {
+        const item = document.createElement('li');
+        item.className = 'search-result';
+        if (path) {
+            const pathEl = document.createElement('div');
+            pathEl.className = 'search-result-path';
+            pathEl.textContent = path;
+            item.appendChild(pathEl);
+        }
+        const textEl = document.createElement('div');
+        textEl.textContent = snippet;
+        item.appendChild(textEl);
+        item.addEventListener('click', onClick);
+        list.appendChild(item);
+        return item;
+    };
+
+    searchResults.forEach((hit, i) => {
+        const item = addItem(formatAncestorPath(hit.ancestors), makeSnippet(getSearchText(hit.note), query), () => goToSearchResult(i));
+        item.dataset.index = i;
+    });
+
+    if (count) count.textContent = query ? `${searchResults.length ? searchIndex + 1 : 0}/${searchResults.length}` : '';
+
+    const allDocs = document.getElementById('search-all-docs');
+    if (query && allDocs && allDocs.checked) {
+        const entries = await listStoredDocuments();
+        // A newer search may have started while the documents were loading.
+        if (query !== getSearchQuery()) return;
+        entries.forEach(entry => {
+            if (entry.id === UNIQUE_NOTE_ID || !entry.doc) return;
+            const hits = searchNotes(entry.doc.notes, query);
+            if (hits.length === 0) return;
+
+            const heading = document.createElement('li');
+            heading.className = 'search-doc-heading';
+            heading.textContent = `${entry.title} (${hits.length})`;
+            list.appendChild(heading);
+            hits.forEach(hit => {
+                addItem(formatAncestorPath(hit.ancestors), makeSnippet(getSearchText(hit.note), query), () => {
+                    openDocument(entry.id, hit.note.id);
+                });
+            });
+        });
+    }
+}
+
+// Live searching only scrolls to the hit; explicit next/previous also focuses it.
+function goToSearchResult(index, focus = true) {
+    if (searchResults.length === 0) return;
+    searchIndex = (index + searchResults.length) % searchResults.length;
+    const hit = searchResults[searchIndex];
+
+    revealedIds = new Set(hit.ancestors.filter(a => a.collapsed).map(a => a.id));
+    leaveZoomIfHidden(hit.note.id);
+    renderAllNotes();
+    if (focus) focusNote(hit.note.id);
+    const el = document.querySelector(`[data-id="${hit.note.id}"] .note-content`);
+    if (el) el.scrollIntoView({ block: 'center' });
+
+    const count = document.getElementById('search-count');
+    if (count) count.textContent = `${searchIndex + 1}/${searchResults.length}`;
+    document.querySelectorAll('.search-result.active').forEach(item => item.classList.remove('active'));
+    const item = document.querySelector(`.search-result[data-index="${searchIndex}"]`);
+    if (item) item.classList.add('active');
+}
+
+// Highlights matches without touching the editable DOM (CSS Custom Highlight API).
+function applySearchHighlights() {
+    if (!window.CSS || !CSS.highlights) return;
+    CSS.highlights.delete('search-results');
+    CSS.highlights.delete('search-current');
+    const query = getSearchQuery();
+    if (!query || searchResults.length === 0) return;
+
+    const all = [];
+    const current = [];
+    searchResults.forEach((hit, i) => {
+        const el = document.querySelector(`[data-id="${hit.note.id}"] .note-content`);
+        if (!el) return;
+        const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            const text = node.textContent.toLowerCase();
+            let at = text.indexOf(query);
+            while (at !== -1) {
+                const range = new Range();
+                range.setStart(node, at);
+                range.setEnd(node, at + query.length);
+                (i === searchIndex ? current : all).push(range);
+                at = text.indexOf(query, at + query.length);
+            }
+        }
+    });
+    CSS.highlights.set('search-results', new Highlight(...all));
+    CSS.highlights.set('search-current', new Highlight(...current));
+}
+
+function openSearch() {
+    const bar = document.getElementById('search-bar');
+    const input = document.getElementById('search-input');
+    if (!bar) return;
+    bar.style.display = 'block';
+    input.focus();
+    input.select();
+}
+
+function closeSearch() {
+    const bar = document.getElementById('search-bar');
+    if (bar) bar.style.display = 'none';
+    const focusId = searchResults[searchIndex] ? searchResults[searchIndex].note.id : null;
+    searchResults = [];
+    searchIndex = -1;
+    revealedIds.clear();
+    document.getElementById('search-input').value = '';
+    renderSearchResults('');
+    renderAllNotes();
+    if (focusId) setTimeout(() => focusNote(focusId), 0);
+}
+
+function handleSearchKeydown(event) {
+    if (event.key === 'Enter') {
+        event.preventDefault();
+        goToSearchResult(searchIndex + (event.shiftKey ? -1 : 1));
+        // Stay in the search box so Enter keeps stepping through matches.
+        event.target.focus();
+    } else if (event.key === 'Escape') {
+        event.preventDefault();
+        closeSearch();
+    }
+}
+
+// Opening `?id=…&node=…` reveals and focuses that node once, then drops the parameter.
+function revealNodeFromURL() {
+    const params = new URLSearchParams(window.location.search);
+    const nodeId = params.get('node');
+    if (!nodeId) return;
+    params.delete('node');
+    history.replaceState(null, '', `?${params.toString()}`);
+    revealNote(nodeId);
+}
+
+// Opens collapsed ancestors (and leaves a zoom that hides the note), then focuses it.
+function revealNote(nodeId) {
+    const ancestors = findAncestors(notesData, nodeId);
+    if (!ancestors) return;
+    revealedIds = new Set(ancestors.filter(a => a.collapsed).map(a => a.id));
+    leaveZoomIfHidden(nodeId);
+    renderAllNotes();
+    focusNote(nodeId);
+    const el = document.querySelector(`[data-id="${nodeId}"] .note-content`);
+    if (el) el.scrollIntoView({ block: 'center' });
+}
+
+// --- Tags, Due Dates & Agenda ---
+// Task metadata is written inline: #tags, @due(YYYY-MM-DD) and a priority from !1 (most
+// urgent) to !3. Code nodes are skipped so '#include' and the like are not read as tags.
+const TAG_PATTERN = /(^|\s)#([\p{L}\p{N}_\-/]+)/gu;
+const DUE_PATTERN = /@due\((\d{4}-\d{2}-\d{2})\)/g;
+const PRIORITY_PATTERN = /(^|\s)!([1-3])(?=\s|$)/g;
+const META_HINT = /[#@![]/;
+
+let activeFilter = null; // { query, terms, matchIds, knownIds } while the filter bar has a query
+let filterView = null;   // { ids, openIds } shown by the current filter, rebuilt on each render
+
+function parseNoteMeta(note) {
+    const meta = { tags: [], due: null, priority: null };
+    const text = note.content || '';
+    if (getNodeType(note.type).literal || !META_HINT.test(text)) return meta;
+    for (const match of text.matchAll(TAG_PATTERN)) meta.tags.push(match[2].toLowerCase());
+    const [due] = text.matchAll(DUE_PATTERN);
+    if (due) meta.due = due[1];
+    const [priority] = text.matchAll(PRIORITY_PATTERN);
+    if (priority) meta.priority = parseInt(priority[2]);
+    return meta;
+}
+
+// Today (plus an offset in days) as YYYY-MM-DD in local time, comparable with due dates.
+function getLocalDate(offsetDays = 0) {
+    const date = new Date();
+    date.setDate(date.getDate() + offsetDays);
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function isOpenTodo(note) {
+    return note.type === 'todo' && !note.checked;
+}
+
+function isOverdue(note, meta) {
+    return Boolean(meta.due) && meta.due < getLocalDate() && note.type === 'todo' && !note.checked;
+}
+
+// Maps every note that has todo descendants to { done, total } over all of them.
+function computeTodoProgress(notes) {
+    const progress = new Map();
+    (function count(list) {
+        let done = 0, total = 0;
+        for (const note of list) {
+            const inner = count(note.children || []);
+            if (inner.total > 0) progress.set(note.id, inner);
+            done += inner.done + (note.type === 'todo' && note.checked ? 1 : 0);
+            total += inner.total + (note.type === 'todo' ? 1 : 0);
+        }
+        return { done, total };
+    })(notes);
+    return progress;
+}
+
+// Fills the "3/7 done" badges in place; rows are not rebuilt when a descendant is ticked.
+function applyTodoProgress() {
+    const progress = computeTodoProgress(notesData);
+    for (const [id, entry] of renderedNodes) {
+        const counts = progress.get(id);
+        const text = counts ? `${counts.done}/${counts.total} done` : '';
+        if (entry.progress === text) continue;
+        const badge = entry.row.querySelector('.note-progress');
+        badge.textContent = text;
+        badge.classList.toggle('complete', Boolean(counts) && counts.done === counts.total);
+        entry.progress = text;
+    }
+}
+
+// Colours tags, due dates, priorities and [[links]] inside the note text without touching the DOM.
+// Each rendered entry keeps its ranges, so typing only reads the edited row again.
+const META_HIGHLIGHTS = ['note-tag', 'note-due', 'note-overdue', 'note-priority', 'note-link', 'note-broken-link'];
+
+function collectMetaRanges(entry, today) {
+    const note = entry.note;
+    const ranges = [];
+    if (getNodeType(note.type).literal || !META_HINT.test(note.content || '') || !entry.el.isConnected) return ranges;
+    const el = entry.row.querySelector('.note-content');
+    const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        const node = walker.currentNode;
+        const add = (name, start, length) => {
+            const range = new Range();
+            range.setStart(node, start);
+            range.setEnd(node, start + length);
+            ranges.push({ name, range });
+        };
+        for (const m of node.textContent.matchAll(TAG_PATTERN)) add('note-tag', m.index + m[1].length, m[0].length - m[1].length);
+        for (const m of node.textContent.matchAll(PRIORITY_PATTERN)) add('note-priority', m.index + m[1].length, 2);
+        for (const m of node.textContent.matchAll(DUE_PATTERN)) {
+            add(isOpenTodo(note) && m[1] < today ? 'note-overdue' : 'note-due', m.index, m[0].length);
+        }
+        for (const link of parseLinks(node.textContent)) {
+            add(resolveLink(link.target) ? 'note-link' : 'note-broken-link', link.index, link.length);
+        }
+    }
+    return ranges;
+}
+
+// Without a note id every rendered row is read again (after a render).
+function applyMetaHighlights(noteId = null) {
+    if (!window.CSS || !CSS.highlights) return;
+    if (noteId === null || !CSS.highlights.has(META_HIGHLIGHTS[0])) {
+        META_HIGHLIGHTS.forEach(name => CSS.highlights.set(name, new Highlight()));
+    }
+    const today = getLocalDate();
+    const entries = noteId === null ? renderedNodes.values() : [renderedNodes.get(noteId)].filter(Boolean);
+    for (const entry of entries) {
+        (entry.metaRanges || []).forEach(({ name, range }) => CSS.highlights.get(name).delete(range));
+        entry.metaRanges = collectMetaRanges(entry, today);
+        entry.metaRanges.forEach(({ name, range }) => CSS.highlights.get(name).add(range));
+    }
+}
+
+function applyTaskDecorations() {
+    indexLinks();
+    applyTodoProgress();
+    applyMetaHighlights();
+    applyLinks();
+}
+
+// Filter terms are ANDed: #tag, !1-!3, @due, @due(date), @overdue, @today, @week,
+// is:open, is:done, is:todo; any other word must appear in the note text.
+function parseFilterQuery(query) {
+    return query.toLowerCase().split(/\s+/).filter(Boolean).map(term => {
+        const dueOn = term.match(/^@due\((\d{4}-\d{2}-\d{2})\)$/);
+        if (dueOn) return (note, meta) => meta.due === dueOn[1];
+        if (term === '@due') return (note, meta) => Boolean(meta.due);
+        if (term === '@overdue') return (note, meta) => isOverdue(note, meta);
+        if (term === '@today') return (note, meta) => Boolean(meta.due) && meta.due <= getLocalDate() && !note.checked;
+        if (term === '@week') return (note, meta) => Boolean(meta.due) && meta.due <= getLocalDate(7) && !note.checked;
+        if (term === 'is:open') return note => isOpenTodo(note);
+        if (term === 'is:done') return note => note.type === 'todo' && Boolean(note.checked);
+        if (term === 'is:todo') return note => note.type === 'todo';
+        if (/^![1-3]$/.test(term)) return (note, meta) => meta.priority === parseInt(term.slice(1));
+        if (/^#.+/.test(term)) return (note, meta) => meta.tags.includes(term.slice(1));
+        return note => getSearchText(note).toLowerCase().includes(term);
+    });
+}
+
+// Matches are fixed when the query changes, so a note being edited does not vanish mid-word;
+// notes created while filtering stay visible too.
+function applyFilter() {
+    const input = document.getElementById('filter-input');
+    const query = input ? input.value.trim() : '';
+    const count = document.getElementById('filter-count');
+    if (!query) {
+        activeFilter = null;
+        if (count) count.textContent = '';
+        renderAllNotes();
+        return;
+    }
+    const terms = parseFilterQuery(query);
+    const matchIds = new Set();
+    const knownIds = new Set();
+    (function walk(list) {
+        for (const note of list) {
+            knownIds.add(note.id);
+            const meta = parseNoteMeta(note);
+            if (terms.every(term => term(note, meta))) matchIds.add(note.id);
+            walk(note.children || []);
+        }
+    })(notesData);
+    activeFilter = { query, terms, matchIds, knownIds };
+    if (count) count.textContent = `${matchIds.size} match${matchIds.size === 1 ? '' : 'es'}`;
+    renderAllNotes();
+}
+
+// Matches and new notes are shown together with their ancestors, which open to show them.
+function computeFilterView() {
+    if (!activeFilter) {
+        filterView = null;
+        return;
+    }
+    const ids = new Set();
+    const openIds = new Set();
+    (function walk(list) {
+        let any = false;
+        for (const note of list) {
+            const inner = walk(note.children || []);
+            if (inner) openIds.add(note.id);
+            if (inner || activeFilter.matchIds.has(note.id) || !activeFilter.knownIds.has(note.id)) {
+                ids.add(note.id);
+                any = true;
+            }
+        }
+        return any;
+    })(notesData);
+    if (zoomRootId) ids.add(zoomRootId);
+    filterView = { ids, openIds };
+}
+
+function getVisibleNotes(notes) {
+    return filterView ? notes.filter(note => filterView.ids.has(note.id)) : notes;
+}
+
+function isFilterContext(noteId) {
+    return activeFilter !== null && !activeFilter.matchIds.has(noteId) && activeFilter.knownIds.has(noteId);
+}
+
+function openFilter() {
+    const bar = document.getElementById('filter-bar');
+    if (!bar) return;
+    bar.style.display = 'flex';
+    const input = document.getElementById('filter-input');
+    input.focus();
+    input.select();
+}
+
+function closeFilter() {
+    const bar = document.getElementById('filter-bar');
+    if (bar) bar.style.display = 'none';
+    document.getElementById('filter-input').value = '';
+    applyFilter();
+}
+
+function filterBy(query) {
+    document.getElementById('app-menu').style.display = 'none';
+    openFilter();
+    document.getElementById('filter-input').value = query;
+    applyFilter();
+}
+
+function formatAgendaDate(date) {
+    if (!date) return 'No due date';
+    if (date < getLocalDate()) return 'Overdue';
+    if (date === getLocalDate()) return 'Today';
+    if (date === getLocalDate(1)) return 'Tomorrow';
+    const [year, month, day] = date.split('-').map(Number);
+    const options = { weekday: 'short', month: 'short', day: 'numeric' };
+    if (year !== new Date().getFullYear()) options.year = 'numeric';
+    return new Date(year, month - 1, day).toLocaleDateString(undefined, options);
+}
+
+// Open todos from every stored document, bucketed by due date and sorted by priority.
+async function collectAgenda() {
+    await flushSave();
+    const items = [];
+    for (const entry of await listStoredDocuments()) {
+        if (!entry.doc) continue;
+        (function walk(list, ancestors) {
+            for (const note of list) {
+                if (isOpenTodo(note)) {
+                    items.push({ docId: entry.id, docTitle: entry.title, note, meta: parseNoteMeta(note), ancestors });
+                }
+                walk(note.children || [], ancestors.concat(note));
+            }
+        })(entry.doc.notes, []);
+    }
+    items.sort((a, b) => (a.meta.due || '9999').localeCompare(b.meta.due || '9999')
+        || (a.meta.priority || 4) - (b.meta.priority || 4)
+        || a.docTitle.localeCompare(b.docTitle));
+
+    const groups = new Map();
+    for (const item of items) {
+        const label = formatAgendaDate(item.meta.due);
+        if (!groups.has(label)) groups.set(label, []);
+        groups.get(label).push(item);
+    }
+    return groups;
+}
+
+async function renderAgenda() {
+    const list = document.getElementById('agenda-list');
+    if (!list) return;
+    const groups = await collectAgenda();
+    list.innerHTML = '';
+    if (groups.size === 0) {
+        list.textContent = 'No open todos.';
+        return;
+    }
+    for (const [label, items] of groups) {
+        const heading = document.createElement('div');
+        heading.className = 'agenda-heading';
+        if (label === 'Overdue') heading.classList.add('overdue');
+        heading.textContent = `${label} (${items.length})`;
+        list.appendChild(heading);
+
+        const ul = document.createElement('ul');
+        items.forEach(item => {
+            const li = document.createElement('li');
+            li.className = 'agenda-item';
+            if (item.meta.priority) li.classList.add(`priority-${item.meta.priority}`);
+
+            const link = document.createElement('a');
+            link.href = `?id=${encodeURIComponent(item.docId)}&node=${encodeURIComponent(item.note.id)}`;
+            link.textContent = item.note.content || '(empty)';
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                if (item.docId !== UNIQUE_NOTE_ID) {
+                    openDocument(item.docId, item.note.id);
+                    return;
+                }
+                document.getElementById('app-menu').style.display = 'none';
+                revealNote(item.note.id);
+            });
+            li.appendChild(link);
+
+            const meta = document.createElement('div');
+            meta.className = 'agenda-meta';
+            meta.textContent = [item.docTitle, formatAncestorPath(item.ancestors)].filter(Boolean).join(' › ');
+            li.appendChild(meta);
+            ul.appendChild(li);
+        });
+        list.appendChild(ul);
+    }
+}
+
+// --- Internal Links ---
+// [[target]] or [[target|label]] points at a note of this document (its id), another document
+// (its id) or a note in another document (docId#noteId). Links are resolved by id whenever the
+// outline renders, so they survive moves and show the target's current text; links whose
+// target was deleted are flagged instead.
+const LINK_PATTERN = /\[\[([^[\]|]+)(?:\|([^[\]]*))?\]\]/g;
+const LINK_SUGGESTION_LIMIT = 8;
+let otherDocuments = new Map(); // docId -> { title, notes: Map(noteId -> note), links: [{ fromId, target }] }
+let openBacklinkIds = new Set();
+// Rebuilt by indexLinks() after each render; typing only updates the edited note's share.
+let linkedNotes = new Map();     // note id -> note, for resolving links without a tree walk
+let backlinks = new Map();       // note id -> the notes (here or elsewhere) that link to it
+let outgoingTargets = new Map(); // note id -> ids of the notes of this document it links to
+let linkSyntaxReady = false;
+let linkSuggest = null; // { box, node, start, end, items, index } while the [[ popup is open
+
+function parseLinks(text) {
+    if (!text || !text.includes('[[')) return [];
+    return Array.from(text.matchAll(LINK_PATTERN), m => ({
+        target: m[1].trim(),
+        label: m[2] ? m[2].trim() : '',
+        index: m.index,
+        length: m[0].length
+    }));
+}
+
+function getNoteTitle(note) {
+    const firstLine = (note.content || '').split('\n')[0].trim();
+    return firstLine ? firstLine.slice(0, 60) : '(empty)';
+}
+
+function splitLinkTarget(target) {
+    const hash = target.indexOf('#');
+    return hash === -1 ? [null, target] : [target.slice(0, hash), target.slice(hash + 1)];
+}
+
+// Returns { docId, noteId, title } for a link target, or null when it points nowhere.
+function resolveLink(target) {
+    const [docId, noteId] = splitLinkTarget(target);
+    if (docId && docId !== UNIQUE_NOTE_ID) {
+        const doc = otherDocuments.get(docId);
+        if (doc && doc.locked) return { docId, noteId, title: doc.title };
+        const note = doc && doc.notes.get(noteId);
+        return note ? { docId, noteId, title: getNoteTitle(note) } : null;
+    }
+    const note = linkedNotes.get(noteId);
+    if (note) return { docId: UNIQUE_NOTE_ID, noteId, title: getNoteTitle(note) };
+    if (docId) return null;
+    if (noteId === UNIQUE_NOTE_ID) return { docId: noteId, noteId: null, title: getDocumentTitle(notesData, docMetadata) };
+    if (otherDocuments.has(noteId)) return { docId: noteId, noteId: null, title: otherDocuments.get(noteId).title };
+    for (const [id, doc] of otherDocuments) {
+        if (doc.notes.has(noteId)) return { docId: id, noteId, title: getNoteTitle(doc.notes.get(noteId)) };
+    }
+    return null;
+}
+
+function getLinkHref(docId, noteId) {
+    return `?id=${encodeURIComponent(docId)}` + (noteId ? `&node=${encodeURIComponent(noteId)}` : '');
+}
+
+function goToLinkTarget(docId, noteId) {
+    if (docId !== UNIQUE_NOTE_ID) openDocument(docId, noteId);
+    else if (noteId) revealNote(noteId);
+}
+
+function followLink(target) {
+    const link = resolveLink(target);
+    if (!link) {
+        alert(`This link is broken: "${target}" was deleted or is not stored in this browser.`);
+        return;
+    }
+    goToLinkTarget(link.docId, link.noteId);
+}
+
+// Indexes the notes and outgoing links of every other stored document.
+async function refreshLinkIndex() {
+    const index = new Map();
+    for (const entry of await listStoredDocuments()) {
+        if (entry.id === UNIQUE_NOTE_ID) continue;
+        // Links into a locked document can only name it; its notes are unknown until it is opened.
+        if (!entry.doc) {
+            if (entry.locked) index.set(entry.id, { title: entry.title, notes: new Map(), links: [], locked: true });
+            continue;
+        }
+        const notes = new Map();
+        const links = [];
+        (function walk(list) {
+            for (const note of list) {
+                notes.set(note.id, note);
+                parseLinks(note.content).forEach(link => links.push({ fromId: note.id, target: link.target }));
+                walk(note.children || []);
+            }
+        })(entry.doc.notes);
+        index.set(entry.id, { title: entry.title, notes, links });
+    }
+    otherDocuments = index;
+    renderAllNotes();
+}
+
+function addBacklink(targetId, source) {
+    if (!backlinks.has(targetId)) backlinks.set(targetId, []);
+    backlinks.get(targetId).push(source);
+}
+
+function addOutgoingLinks(note) {
+    const targets = [];
+    for (const link of parseLinks(note.content)) {
+        const [docId, targetId] = splitLinkTarget(link.target);
+        if (docId && docId !== UNIQUE_NOTE_ID) continue;
+        addBacklink(targetId, { docId: UNIQUE_NOTE_ID, noteId: note.id, title: getNoteTitle(note) });
+        targets.push(targetId);
+    }
+    outgoingTargets.set(note.id, targets);
+}
+
+function removeOutgoingLinks(noteId) {
+    for (const targetId of outgoingTargets.get(noteId) || []) {
+        const sources = backlinks.get(targetId);
+        if (sources) backlinks.set(targetId, sources.filter(source => source.docId !== UNIQUE_NOTE_ID || source.noteId !== noteId));
+    }
+    outgoingTargets.delete(noteId);
+}
+
+function indexLinks() {
+    linkedNotes = new Map();
+    backlinks = new Map();
+    outgoingTargets = new Map();
+    walkNotes(notesData, note => {
+        linkedNotes.set(note.id, note);
+        addOutgoingLinks(note);
+    });
+    for (const [docId, doc] of otherDocuments) {
+        for (const link of doc.links) {
+            const [targetDoc, noteId] = splitLinkTarget(link.target);
+            // A bare id in another document refers to its own notes first.
+            if (targetDoc === UNIQUE_NOTE_ID || (!targetDoc && !doc.notes.has(noteId))) {
+                addBacklink(noteId, { docId, noteId: link.fromId, title: `${doc.title} › ${getNoteTitle(doc.notes.get(link.fromId))}` });
+            }
+        }
+    }
+}
+
+function createLinkAnchor(className, text, href, onClick) {
+    const a = document.createElement('a');
+    a.className = className;
+    a.textContent = text;
+    a.href = href;
+    a.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        onClick();
+    });
+    return a;
+}
+
+// Fills a row's link strip, backlink badge and inline markdown links in place.
+function applyRowLinks(id, entry) {
+    const note = entry.note;
+    const links = getNodeType(note.type).literal ? [] : parseLinks(note.content);
+    const incoming = backlinks.get(id) || [];
+    const resolved = links.map(link => Object.assign(link, { resolved: resolveLink(link.target) }));
+    const showIncoming = openBacklinkIds.has(id) && incoming.length > 0;
+    const key = links.length === 0 && incoming.length === 0 ? ''
+        : JSON.stringify([resolved.map(l => [l.target, l.label, l.resolved && l.resolved.title]), incoming.length, showIncoming && incoming]);
+    if (entry.linksKey === key) return;
+    entry.linksKey = key;
+
+    const badge = entry.row.querySelector('.note-backlinks');
+    badge.textContent = incoming.length ? `↩ ${incoming.length}` : '';
+    badge.title = `${countNotes(incoming.length)} link here (click to list)`;
+    badge.setAttribute('aria-label', `${countNotes(incoming.length)} link here`);
+    badge.setAttribute('aria-expanded', showIncoming);
+
+    // Markdown views already show their links inline; keep their labels current.
+    const inline = entry.row.querySelectorAll('.internal-link');
+    inline.forEach(a => {
+        const link = resolved.find(l => l.target === a.dataset.link);
+        if (!link) return;
+        a.classList.toggle('broken', !link.resolved);
+        if (!link.label) a.textContent = link.resolved ? link.resolved.title : link.target;
+    });
+
+    const strip = entry.row.querySelector('.note-links');
+    strip.innerHTML = '';
+    if (inline.length === 0) {
+        resolved.forEach(link => {
+            const chip = link.resolved
+                ? createLinkAnchor('link-chip', `→ ${link.label || link.resolved.title}`, getLinkHref(link.resolved.docId, link.resolved.noteId), () => followLink(link.target))
+                : createLinkAnchor('link-chip broken', `⚠ Broken link: ${link.label || link.target}`, '#', () => followLink(link.target));
+            strip.appendChild(chip);
+        });
+    }
+    if (showIncoming) {
+        const list = document.createElement('div');
+        list.className = 'backlink-list';
+        list.textContent = 'Linked from: ';
+        incoming.forEach(source => {
+            list.appendChild(createLinkAnchor('link-chip', source.title, getLinkHref(source.docId, source.noteId), () => goToLinkTarget(source.docId, source.noteId)));
+        });
+        strip.appendChild(list);
+    }
+    setRowTabStops(entry);
+}
+
+// Without a note id every rendered row is filled in again (after a render). Typing passes the
+// edited note: only its links, and the rows they point to or come from, can change.
+function applyLinks(noteId = null) {
+    if (noteId === null) {
+        renderedNodes.forEach((entry, id) => applyRowLinks(id, entry));
+        return;
+    }
+    const entry = renderedNodes.get(noteId);
+    if (!entry) return;
+    const affected = new Set([noteId, ...(outgoingTargets.get(noteId) || [])]);
+    removeOutgoingLinks(noteId);
+    addOutgoingLinks(entry.note);
+    outgoingTargets.get(noteId).forEach(id => affected.add(id));
+    (backlinks.get(noteId) || []).forEach(source => {
+        if (source.docId === UNIQUE_NOTE_ID) affected.add(source.noteId);
+    });
+    affected.forEach(id => {
+        if (renderedNodes.has(id)) applyRowLinks(id, renderedNodes.get(id));
+    });
+}
+
+function toggleBacklinks(noteId) {
+    if (!openBacklinkIds.delete(noteId)) openBacklinkIds.add(noteId);
+    if (renderedNodes.has(noteId)) applyRowLinks(noteId, renderedNodes.get(noteId));
+}
+
+// In markdown notes [[links]] are a marked extension, so code spans and fences keep them as
+// text. The anchors still pass through DOMPurify with the rest of the HTML.
+function setupLinkSyntax() {
+    if (linkSyntaxReady || !window.marked) return;
+    const pattern = new RegExp(`^${LINK_PATTERN.source}`);
+    marked.use({ extensions: [{
+        name: 'internalLink',
+        level: 'inline',
+        start: src => {
+            const index = src.indexOf('[[');
+            return index < 0 ? undefined : index;
+        },
+        tokenizer(src) {
+            const match = pattern.exec(src);
+            if (match) return { type: 'internalLink', raw: match[0], target: match[1].trim(), label: (match[2] || '').trim() };
+        },
+        renderer: token => `<a class="internal-link" data-link="${escapeXml(token.target)}" href="#">${escapeXml(token.label || token.target)}</a>`
+    }]});
+    linkSyntaxReady = true;
+}
+
+// Ctrl/Cmd+Click on a [[link]] inside editable text follows it.
+function getLinkAtPoint(event) {
+    let node = null, offset = 0;
+    if (document.caretPositionFromPoint) {
+        const position = document.caretPositionFromPoint(event.clientX, event.clientY);
+        if (position) ({ offsetNode: node, offset } = position);
+    } else if (document.caretRangeFromPoint) {
+        const range = document.caretRangeFromPoint(event.clientX, event.clientY);
+        if (range) ({ startContainer: node, startOffset: offset } = range);
+    }
+    if (!node || node.nodeType !== Node.TEXT_NODE) return null;
+    const link = parseLinks(node.textContent).find(l => offset >= l.index && offset <= l.index + l.length);
+    return link ? link.target : null;
+}
+
+function handleLinkClick(event) {
+    if (!(event.ctrlKey || event.metaKey)) return;
+    const target = getLinkAtPoint(event);
+    if (!target) return;
+    event.preventDefault();
+    followLink(target);
+}
+
+function getLinkSuggestions(query, fromId) {
+    const q = query.trim().toLowerCase();
+    const notes = [], docs = [], remote = [];
+    (function walk(list) {
+        for (const note of list) {
+            if (note.id !== fromId && note.content && note.content.toLowerCase().includes(q)) {
+                notes.push({ target: note.id, label: getNoteTitle(note) });
+            }
+            walk(note.children || []);
+        }
+    })(notesData);
+    for (const [docId, doc] of otherDocuments) {
+        if (doc.title.toLowerCase().includes(q)) docs.push({ target: docId, label: `📄 ${doc.title}` });
+        if (!q) continue;
+        for (const note of doc.notes.values()) {
+            if (note.content && note.content.toLowerCase().includes(q)) remote.push({ target: `${docId}#${note.id}`, label: `${doc.title} › ${getNoteTitle(note)}` });
+        }
+    }
+    return notes.slice(0, 5).concat(docs, remote).slice(0, LINK_SUGGESTION_LIMIT);
+}
+
+// Opens the suggestion popup while the caret sits after an unfinished "[[query".
+function updateLinkSuggest(box) {
+    const sel = window.getSelection();
+    const range = sel.rangeCount ? sel.getRangeAt(0) : null;
+    const node = range ? range.startContainer : null;
+    if (!range || !sel.isCollapsed || node.nodeType !== Node.TEXT_NODE || !box.contains(node)) {
+        closeLinkSuggest();
+        return;
+    }
+    const match = node.textContent.slice(0, range.startOffset).match(/\[\[([^[\]|]*)$/);
+    const items = match ? getLinkSuggestions(match[1], box.closest('.note').dataset.id) : [];
+    if (items.length === 0) {
+        closeLinkSuggest();
+        return;
+    }
+    linkSuggest = { box, node, start: range.startOffset - match[0].length, end: range.startOffset, items, index: 0 };
+    const rect = range.getBoundingClientRect();
+    const popup = document.getElementById('link-suggest');
+    popup.style.left = `${rect.left}px`;
+    popup.style.top = `${rect.bottom + 4}px`;
+    popup.style.display = 'block';
+    renderLinkSuggest();
+}
+
+function renderLinkSuggest() {
+    const popup = document.getElementById('link-suggest');
+    popup.innerHTML = '';
+    linkSuggest.items.forEach((item, i) => {
+        const li = document.createElement('li');
+        li.textContent = item.label;
+        if (i === linkSuggest.index) li.classList.add('active');
+        // mousedown keeps focus (and the caret) in the note.
+        li.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            acceptLinkSuggestion(i);
+        });
+        popup.appendChild(li);
+    });
+}
+
+function closeLinkSuggest() {
+    linkSuggest = null;
+    const popup = document.getElementById('link-suggest');
+    if (popup) popup.style.display = 'none';
+}
+
+function acceptLinkSuggestion(index) {
+    const { box, node, start, end, items } = linkSuggest;
+    const text = `[[${items[index].target}]]`;
+    node.textContent = node.textContent.slice(0, start) + text + node.textContent.slice(end);
+    const range = document.createRange();
+    range.setStart(node, start + text.length);
+    range.collapse(true);
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+    closeLinkSuggest();
+    box.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+// Returns true when the key was consumed by the open suggestion popup.
+function handleLinkSuggestKeydown(event) {
+    if (!linkSuggest || event.target !== linkSuggest.box) return false;
+    const count = linkSuggest.items.length;
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        if (event.ctrlKey || event.metaKey || event.altKey) return false;
+        linkSuggest.index = (linkSuggest.index + (event.key === 'ArrowDown' ? 1 : -1) + count) % count;
+        renderLinkSuggest();
+    } else if (event.key === 'Enter' || event.key === 'Tab') {
+        acceptLinkSuggestion(linkSuggest.index);
+    } else if (event.key === 'Escape') {
+        closeLinkSuggest();
+    } else {
+        return false;
+    }
+    event.preventDefault();
+    return true;
+}
+
+// --- Zoom ---
+// Zooming makes one note the root of the view (`?focus=<nodeId>` in the URL). Its ancestors
+// show as breadcrumbs, and structural edits are kept from crossing that boundary.
+let zoomRootId = null;
+
+function getViewRoots() {
+    const zoomRoot = zoomRootId ? findNoteById(notesData, zoomRootId) : null;
+    if (!zoomRoot) {
+        zoomRootId = null;
+        return { notes: notesData, depth: 0 };
+    }
+    return { notes: [zoomRoot], depth: findAncestors(notesData, zoomRootId).length };
+}
+
+function setZoomParam(noteId, push) {
+    const params = new URLSearchParams(window.location.search);
+    if (noteId) params.set('focus', noteId);
+    else params.delete('focus');
+    const url = `?${params.toString()}`;
+    if (push) history.pushState(null, '', url);
+    else history.replaceState(null, '', url);
+}
+
+function zoomTo(noteId) {
+    if (noteId && !findNoteById(notesData, noteId)) return;
+    const previous = zoomRootId;
+    zoomRootId = noteId;
+    setZoomParam(noteId, true);
+    renderAllNotes();
+    announce(noteId ? `Zoomed into "${getNoteTitle(findNoteById(notesData, noteId))}"` : 'Showing the whole document');
+    const focusId = noteId || previous;
+    setTimeout(() => {
+        focusNote(focusId);
+        window.scrollTo(0, 0);
+    }, 0);
+}
+
+function zoomOut() {
+    if (!zoomRootId) return;
+    const location = locateNote(zoomRootId);
+    zoomTo(location ? location.parentId : null);
+}
+
+function readZoomFromURL() {
+    zoomRootId = new URLSearchParams(window.location.search).get('focus');
+}
+
+// Zooms all the way out when a note that must be shown lies outside the zoomed branch.
+function leaveZoomIfHidden(noteId) {
+    if (!zoomRootId || noteId === zoomRootId) return;
+    const ancestors = findAncestors(notesData, noteId) || [];
+    if (ancestors.some(a => a.id === zoomRootId)) return;
+    zoomRootId = null;
+    setZoomParam(null, false);
+}
+
+function renderBreadcrumbs() {
+    const nav = document.getElementById('breadcrumbs');
+    if (!nav) return;
+    nav.innerHTML = '';
+    if (!zoomRootId) {
+        nav.style.display = 'none';
+        return;
+    }
+    nav.style.display = 'block';
+
+    const addCrumb = (label, targetId) => {
+        const crumb = document.createElement('a');
+        crumb.className = 'breadcrumb';
+        crumb.href = '#';
+        crumb.textContent = label;
+        crumb.addEventListener('click', (e) => {
+            e.preventDefault();
+            zoomTo(targetId);
+        });
+        nav.appendChild(crumb);
+        nav.appendChild(document.createTextNode(' › '));
+    };
+    addCrumb(getDocumentTitle(notesData, docMetadata), null);
+    (findAncestors(notesData, zoomRootId) || []).forEach(ancestor => {
+        addCrumb((ancestor.content || 'Untitled').split('\n')[0].slice(0, 40) || 'Untitled', ancestor.id);
+    });
+}
+
+// --- Selection ---
+// A range of visible notes picked with Shift+Click or Shift+Ctrl+Up/Down. While it is
+// non-empty, the structural shortcuts and the selection bar act on every selected note.
+let selectedIds = new Set();
+let selectionAnchorId = null;
+let selectionFocusId = null;
+let extendingSelection = false; // focus moves as part of growing the selection
+
+function hasSelection() {
+    return selectedIds.size > 0;
+}
+
+function getVisibleNoteIds() {
+    return Array.from(document.querySelectorAll('#note-container .note')).map(el => el.dataset.id);
+}
+
+// Selected ids in document order.
+function getSelectedIds() {
+    return getVisibleNoteIds().filter(id => selectedIds.has(id));
+}
+
+// Selected notes without a selected ancestor; their subtrees travel with them.
+function getSelectedRoots() {
+    return getSelectedIds().filter(id => {
+        let el = renderedNodes.get(id).el.parentElement.closest('.note');
+        for (; el; el = el.parentElement.closest('.note')) {
+            if (selectedIds.has(el.dataset.id)) return false;
+        }
+        return true;
+    });
+}
+
+function selectRange(anchorId, focusId) {
+    const visible = getVisibleNoteIds();
+    const from = visible.indexOf(anchorId);
+    const to = visible.indexOf(focusId);
+    if (from === -1 || to === -1) return;
+    selectionAnchorId = anchorId;
+    selectionFocusId = focusId;
+    selectedIds = new Set(visible.slice(Math.min(from, to), Math.max(from, to) + 1));
+    applySelection();
+}
+
+function clearSelection() {
+    if (!hasSelection()) return;
+    selectedIds.clear();
+    selectionAnchorId = null;
+    selectionFocusId = null;
+    applySelection();
+}
+
+// Brings the .selected classes and the selection bar in line with selectedIds,
+// dropping notes that were deleted or hidden by a collapse.
+function applySelection() {
+    for (const id of selectedIds) {
+        const entry = renderedNodes.get(id);
+        if (!entry || !entry.el.isConnected) selectedIds.delete(id);
+    }
+    if (!selectedIds.has(selectionFocusId)) selectionFocusId = getSelectedIds()[0] || null;
+    if (!selectedIds.has(selectionAnchorId)) selectionAnchorId = selectionFocusId;
+
+    document.querySelectorAll('.note.selected').forEach(el => {
+        if (selectedIds.has(el.dataset.id)) return;
+        el.classList.remove('selected');
+        el.setAttribute('aria-selected', 'false');
+    });
+    for (const id of selectedIds) {
+        const { el } = renderedNodes.get(id);
+        el.classList.add('selected');
+        el.setAttribute('aria-selected', 'true');
+    }
+
+    const bar = document.getElementById('selection-bar');
+    if (!bar) return;
+    bar.style.display = hasSelection() ? 'flex' : 'none';
+    document.getElementById('selection-count').textContent = `${selectedIds.size} selected`;
+}
+
+function extendSelection(fromId, direction) {
+    const anchorId = hasSelection() ? selectionAnchorId : fromId;
+    const currentId = hasSelection() ? selectionFocusId : fromId;
+    const visible = getVisibleNoteIds();
+    const nextId = visible[visible.indexOf(currentId) + (direction === 'up' ? -1 : 1)] || currentId;
+    selectRange(anchorId, nextId);
+    extendingSelection = true;
+    focusNote(nextId);
+    extendingSelection = false;
+}
+
+// Shift+Click selects from the anchor (or the focused note) to the clicked note;
+// a plain click in the outline drops the selection.
+function handleSelectionMouseDown(event) {
+    if (readOnly) return;
+    if (event.target.closest('.node-controls, input')) return;
+    const noteEl = event.target.closest('.note');
+    if (!event.shiftKey || !noteEl) {
+        clearSelection();
+        return;
+    }
+    event.preventDefault();
+    const focusedEl = document.activeElement && document.activeElement.closest('#note-container .note');
+    const anchorId = selectionAnchorId || (focusedEl ? focusedEl.dataset.id : noteEl.dataset.id);
+    selectRange(anchorId, noteEl.dataset.id);
+}
+
+// Moving into a note outside the selection (Ctrl+Arrows, a click) ends it.
+function handleSelectionFocusIn(event) {
+    if (extendingSelection || !hasSelection()) return;
+    const noteEl = event.target.closest('.note');
+    if (noteEl && !selectedIds.has(noteEl.dataset.id)) clearSelection();
+}
+
+function indentSelection() {
+    const roots = getSelectedRoots();
+    runBatch(() => roots.forEach(id => {
+        const location = locateNote(id);
+        const entry = renderedNodes.get(id);
+        if (!location || location.index === 0 || parseInt(entry.el.dataset.depth) >= MAX_DEPTH) return;
+        // A note whose sibling above is selected but stayed put keeps its place too.
+        if (roots.includes(location.parentArray[location.index - 1].id)) return;
+        increaseNoteDepth(id);
+    }), selectionFocusId);
+    announce(`${countNotes(roots.length)} indented`);
+}
+
+function outdentSelection() {
+    // Bottom-up, so notes leaving the same parent end up in their original order.
+    const roots = getSelectedRoots().reverse();
+    runBatch(() => roots.forEach(decreaseNoteDepth), selectionFocusId);
+    announce(`${countNotes(roots.length)} outdented`);
+}
+
+function deleteSelection() {
+    const ids = getSelectedIds();
+    const visible = getVisibleNoteIds();
+    const first = visible.indexOf(ids[0]);
+    const survivor = visible.slice(0, first).reverse().concat(visible.slice(first))
+        .find(id => !selectedIds.has(id));
+    clearSelection();
+    runBatch(() => ids.forEach(deleteNote), survivor || null);
+    announce(`${countNotes(ids.length)} deleted`);
+}
+
+function setSelectionType(type) {
+    const ids = getSelectedIds();
+    if (!isNodeType(type) || ids.length === 0) return;
+    executeCommand(ids.map(id => ({ type: 'set', id, values: { type } })), { focusBefore: selectionFocusId });
+    renderAllNotes();
+    announce(`${countNotes(ids.length)} changed to ${getNodeType(type).label}`);
+}
+
+// Ctrl+Shift+. on a selection moves every note to the type after the first one's.
+function cycleSelectionType() {
+    const first = findNoteById(notesData, getSelectedIds()[0]);
+    if (first) setSelectionType(getNextNodeType(first.type));
+}
+
+// Collapses every selected branch, or expands them all if they are already collapsed.
+function toggleSelectionCollapse() {
+    const branches = getSelectedIds()
+        .map(id => findNoteById(notesData, id))
+        .filter(note => note.children && note.children.length > 0 && note.id !== zoomRootId);
+    if (branches.length === 0) return;
+    const collapse = branches.some(isExpanded);
+    branches.forEach(note => revealedIds.delete(note.id));
+    executeCommand(branches.map(note => ({ type: 'set', id: note.id, values: { collapsed: collapse } })), { focusBefore: selectionFocusId });
+    renderAllNotes();
+    announce(`${countNotes(branches.length)} ${collapse ? 'collapsed' : 'expanded'}`);
+}
+
+// Alt+Shift+Up/Down on a run of adjacent siblings moves the sibling next to the run across it.
+function moveSelectionAmongSiblings(offset) {
+    const roots = getSelectedRoots();
+    const locations = roots.map(locateNote);
+    const [first] = locations;
+    const last = locations[locations.length - 1];
+    if (!locations.every((l, i) => l.parentArray === first.parentArray && l.index === first.index + i)) return;
+    const neighbour = offset < 0 ? first.parentArray[first.index - 1] : last.parentArray[last.index + 1];
+    if (!neighbour) return;
+    runBatch(() => {
+        if (offset < 0) moveNote(neighbour.id, last.note.id, 'after');
+        else moveNote(neighbour.id, first.note.id, 'before');
+    }, selectionFocusId);
+}
+
+// Moves every selected subtree to one drop target, keeping their order.
+function moveSelection(targetId, position) {
+    const roots = getSelectedRoots();
+    const ordered = position === 'after' ? roots.slice().reverse() : roots;
+    runBatch(() => ordered.forEach(id => moveNote(id, targetId, position)), selectionFocusId);
+    announce(`${countNotes(roots.length)} moved`);
+}
+
+// --- Clipboard ---
+// Copied subtrees go on the clipboard twice: as a .wote envelope under a private type for
+// lossless pasting into any Wote document, and as a Markdown list for everything else.
+const CLIPBOARD_TYPE = 'application/x-wote+json';
+
+function cloneWithNewIds(note) {
+    const copy = Object.assign({}, note, { id: generateId(), children: (note.children || []).map(cloneWithNewIds) });
+    TRANSIENT_NODE_FIELDS.forEach(field => delete copy[field]);
+    return copy;
+}
+
+function isMarkdownList(text) {
+    const firstLine = text.split('\n').find(line => line.trim() !== '');
+    return Boolean(firstLine) && /^\s*([-*+]|\d+[.)])\s/.test(firstLine);
+}
+
+function readClipboardNotes(clipboardData) {
+    if (!clipboardData) return null;
+    const payload = clipboardData.getData(CLIPBOARD_TYPE);
+    if (payload) {
+        try {
+            const { doc, errors } = parseDocument(payload);
+            if (errors.length === 0) return doc.notes;
+        } catch (e) {
+            // Unreadable Wote data: fall back to the plain text below.
+        }
+    }
+    const text = clipboardData.getData('text/plain');
+    return text && isMarkdownList(text) ? markdownToNotes(text) : null;
+}
+
+function handleCopy(event) {
+    if (!hasSelection() || !event.clipboardData) return;
+    if (event.target.matches && event.target.matches('input, textarea')) return;
+    event.preventDefault();
+    const notes = getSelectedRoots().map(id => findNoteById(notesData, id));
+    event.clipboardData.setData('text/plain', notesToMarkdown(notes));
+    event.clipboardData.setData(CLIPBOARD_TYPE, serializeDocument(notes, { file_id: UNIQUE_NOTE_ID }));
+}
+
+function handleCut(event) {
+    if (!hasSelection()) return;
+    handleCopy(event);
+    if (event.defaultPrevented) deleteSelection();
+}
+
+// Pasting copied notes (or a Markdown list, or image files) into a note inserts them as siblings after it.
+function handlePaste(event) {
+    // Code is pasted as plain text, never as notes or images.
+    if (isCodeEditor(event.target)) {
+        event.preventDefault();
+        insertCodeText(event.target, event.clipboardData.getData('text/plain').replace(/\r\n?/g, '\n'));
+        return;
+    }
+    const noteEl = event.target.closest('.note');
+    const images = getImageFiles(event.clipboardData);
+    if (noteEl && images.length > 0) {
+        event.preventDefault();
+        insertImageFiles(noteEl.dataset.id, images);
+        return;
+    }
+    const notes = noteEl ? readClipboardNotes(event.clipboardData) : null;
+    if (!notes || notes.length === 0) return;
+    event.preventDefault();
+    pasteNotes(noteEl.dataset.id, notes);
+}
+
+function pasteNotes(noteId, notes) {
+    const location = locateNote(noteId);
+    if (!location) return;
+    const { note, parentId, index } = location;
+    const atZoomRoot = noteId === zoomRootId;
+    const depth = findAncestors(notesData, noteId).length + (atZoomRoot ? 1 : 0);
+    const copies = notes.map(cloneWithNewIds);
+    if (depth + Math.max(...copies.map(getSubtreeHeight)) > MAX_DEPTH) {
+        alert(`Cannot paste here: the notes would be nested deeper than ${MAX_DEPTH} levels.`);
+        return;
+    }
+
+    let ops;
+    if (atZoomRoot) {
+        ops = copies.map((node, i) => ({ type: 'insert', parentId: noteId, index: i, node }));
+    } else if (!note.content && (!note.children || note.children.length === 0) && !getNodeType(note.type).ownContent) {
+        // Pasting into an empty note replaces it instead of leaving a blank line behind. An empty
+        // caption is not an empty note: the image or table stays.
+        ops = [{ type: 'remove', parentId, index }, ...copies.map((node, i) => ({ type: 'insert', parentId, index: index + i, node }))];
+    } else {
+        ops = copies.map((node, i) => ({ type: 'insert', parentId, index: index + 1 + i, node }));
+    }
+    const lastId = copies[copies.length - 1].id;
+    executeCommand(ops, { focusBefore: noteId, focusAfter: lastId });
+    renderAllNotes();
+    setTimeout(() => focusNote(lastId), 0);
+}
+
+// --- Drag & Drop ---
+let draggedNoteId = null;
+
+function getDropPosition(event, row) {
+    const rect = row.getBoundingClientRect();
+    const offset = (event.clientY - rect.top) / (rect.height || 1);
+    if (offset < 0.25) return 'before';
+    if (offset > 0.75) return 'after';
+    return 'inside';
+}
+
+function clearDropIndicators() {
+    document.querySelectorAll('.drop-before, .drop-after, .drop-inside').forEach(el => {
+        el.classList.remove('drop-before', 'drop-after', 'drop-inside');
+    });
+}
+
+// The handle also moves its note from the keyboard: Up/Down among its siblings, Left/Right
+// out of or into the branch above.
+function createDragHandle(note) {
+    const handle = document.createElement('button');
+    handle.className = 'drag-handle';
+    handle.textContent = '⠿';
+    const reorder = ['note.move-up', 'note.move-down'].map(formatCommandBindings).filter(Boolean).join(' / ');
+    handle.title = `Drag to move (or focus and use the arrow keys${reorder ? `; ${reorder} to reorder` : ''})`;
+    handle.setAttribute('aria-label', 'Move note with the arrow keys');
+    handle.draggable = true;
+    handle.addEventListener('keydown', (e) => {
+        const moves = {
+            ArrowUp: () => moveNoteAmongSiblings(note.id, -1),
+            ArrowDown: () => moveNoteAmongSiblings(note.id, 1),
+            ArrowLeft: () => decreaseNoteDepth(note.id),
+            ArrowRight: () => {
+                if (parseInt(handle.closest('.note').dataset.depth) < MAX_DEPTH) increaseNoteDepth(note.id);
+            }
+        };
+        if (!moves[e.key] || e.ctrlKey || e.metaKey || e.altKey || e.shiftKey) return;
+        e.preventDefault();
+        moves[e.key]();
+        // The moved row is rebuilt: put the focus back on its handle.
+        setTimeout(() => {
+            const entry = renderedNodes.get(note.id);
+            const moved = entry && entry.row.querySelector('.drag-handle');
+            if (moved) moved.focus();
+        }, 0);
+    });
+    handle.addEventListener('dragstart', (e) => {
+        draggedNoteId = note.id;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', note.content || '');
+        const noteEl = handle.closest('.note');
+        if (noteEl) noteEl.classList.add('dragging');
+    });
+    handle.addEventListener('dragend', () => {
+        draggedNoteId = null;
+        clearDropIndicators();
+        document.querySelectorAll('.dragging').forEach(el => el.classList.remove('dragging'));
+    });
+    return handle;
+}
+
+function isFileDrag(event) {
+    return !draggedNoteId && Array.from(event.dataTransfer.types || []).includes('Files');
+}
+
+function attachDropTarget(noteRow, note) {
+    noteRow.addEventListener('dragover', (e) => {
+        // Files dragged in from outside become image nodes after this one.
+        if (isFileDrag(e)) {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            clearDropIndicators();
+            noteRow.classList.add('drop-after');
+            return;
+        }
+        if (!draggedNoteId || draggedNoteId === note.id) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        clearDropIndicators();
+        noteRow.classList.add('drop-' + getDropPosition(e, noteRow));
+    });
+    noteRow.addEventListener('dragleave', () => {
+        noteRow.classList.remove('drop-before', 'drop-after', 'drop-inside');
+    });
+    noteRow.addEventListener('drop', (e) => {
+        if (isFileDrag(e)) {
+            e.preventDefault();
+            clearDropIndicators();
+            const images = getImageFiles(e.dataTransfer);
+            if (images.length > 0) insertImageFiles(note.id, images);
+            else alert("Only image files can be dropped into notes.");
+            return;
+        }
+        if (!draggedNoteId) return;
+        e.preventDefault();
+        const position = getDropPosition(e, noteRow);
+        clearDropIndicators();
+        if (selectedIds.has(draggedNoteId)) moveSelection(note.id, position);
+        else moveNote(draggedNoteId, note.id, position);
+        draggedNoteId = null;
+    });
+}
+
+// --- Code Blocks ---
+// While a code note is being edited, Tab/Enter edit the text instead of the tree. The editor
+// keeps a trailing <br> so a final empty line stays visible; its text is read with textContent,
+// which ignores it.
+const CODE_INDENT = '    ';
+
+function isCodeEditor(el) {
+    return Boolean(el && el.classList && el.classList.contains('code-editor'));
+}
+
+function fillCodeEditor(box, text) {
+    box.textContent = text;
+    box.appendChild(document.createElement('br'));
+}
+
+function getTextOffset(box, node, offset) {
+    const range = document.createRange();
+    range.selectNodeContents(box);
+    range.setEnd(node, offset);
+    return range.toString().length;
+}
+
+function readCodeEditor(box) {
+    const text = box.textContent;
+    const sel = window.getSelection();
+    if (!sel.rangeCount || !box.contains(sel.anchorNode)) return { text, start: text.length, end: text.length };
+    const range = sel.getRangeAt(0);
+    return {
+        text,
+        start: getTextOffset(box, range.startContainer, range.startOffset),
+        end: getTextOffset(box, range.endContainer, range.endOffset)
+    };
+}
+
+// Replaces the editor's text, restores the caret/selection and lets the input handler save it.
+function writeCodeEditor(box, text, start, end = start) {
+    fillCodeEditor(box, text);
+    const textNode = box.firstChild.nodeType === Node.TEXT_NODE ? box.firstChild : null;
+    const range = document.createRange();
+    if (textNode) {
+        range.setStart(textNode, Math.min(start, text.length));
+        range.setEnd(textNode, Math.min(end, text.length));
+    } else {
+        range.setStart(box, 0);
+    }
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+    box.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+function insertCodeText(box, insert) {
+    const { text, start, end } = readCodeEditor(box);
+    writeCodeEditor(box, text.slice(0, start) + insert + text.slice(end), start + insert.length);
+}
+
+// Indents (or outdents) every line touched by the selection.
+function indentCodeLines(box, outdent) {
+    const { text, start, end } = readCodeEditor(box);
+    const from = text.lastIndexOf('\n', start - 1) + 1;
+    let newStart = start;
+    const block = text.slice(from, end).split('\n').map((line, i) => {
+        if (!outdent) {
+            if (i === 0) newStart += CODE_INDENT.length;
+            return CODE_INDENT + line;
+        }
+        const match = /^(\t| {1,4})/.exec(line);
+        const removed = match ? match[0].length : 0;
+        if (i === 0) newStart = Math.max(from, start - removed);
+        return line.slice(removed);
+    }).join('\n');
+    const newEnd = Math.max(newStart, end + block.length - (end - from));
+    writeCodeEditor(box, text.slice(0, from) + block + text.slice(end), newStart, newEnd);
+}
+
+// A new line keeps the current indentation, plus one level after an opening bracket or colon.
+function insertCodeNewline(box) {
+    const { text, start } = readCodeEditor(box);
+    const line = text.slice(text.lastIndexOf('\n', start - 1) + 1, start);
+    let indent = /^[ \t]*/.exec(line)[0];
+    if (/[{[(:]\s*$/.test(line)) indent += CODE_INDENT;
+    insertCodeText(box, '\n' + indent);
+}
+
+// Returns true if the key was handled. Ctrl/Alt combinations fall through to the outline
+// shortcuts, so Ctrl + Enter still adds a sibling.
+function handleCodeEditorKeydown(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) return false;
+    const box = event.target;
+    if (event.key === 'Escape') {
+        event.preventDefault();
+        // Back to the outline item, which also ends editing.
+        focusTreeItem(box.closest('.note').dataset.id);
+        return true;
+    }
+    if (event.key === 'Enter') {
+        event.preventDefault();
+        insertCodeNewline(box);
+        return true;
+    }
+    if (event.key === 'Tab') {
+        event.preventDefault();
+        const { text, start, end } = readCodeEditor(box);
+        if (!event.shiftKey && !text.slice(start, end).includes('\n')) insertCodeText(box, CODE_INDENT);
+        else indentCodeLines(box, event.shiftKey);
+        return true;
+    }
+    return false;
+}
+
+// Languages offered in the picker; without highlight.js only the stored one can be shown.
+function getCodeLanguages(current) {
+    const languages = window.hljs ? hljs.listLanguages().slice().sort() : [];
+    if (current && !languages.includes(current)) languages.unshift(current);
+    return languages;
+}
+
+function buildCodeToolbar(note, editable) {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'code-toolbar';
+    // Clicks here must not switch the note into edit mode.
+    toolbar.addEventListener('click', (e) => e.stopPropagation());
+
+    const select = document.createElement('select');
+    select.className = 'code-language';
+    select.title = 'Language';
+    select.add(new Option('Auto-detect', ''));
+    getCodeLanguages(note.language).forEach(lang => select.add(new Option(lang, lang)));
+    select.value = note.language || '';
+    select.disabled = !editable;
+    select.addEventListener('change', (e) => {
+        updateNoteData(note.id, { language: e.target.value || undefined });
+        renderSubtree(note.id);
+    });
+    toolbar.appendChild(select);
+
+    const copyBtn = document.createElement('button');
+    copyBtn.className = 'code-copy-btn';
+    copyBtn.textContent = 'Copy';
+    copyBtn.title = 'Copy code to the clipboard';
+    copyBtn.addEventListener('click', () => copyCode(note.content || '', copyBtn));
+    toolbar.appendChild(copyBtn);
+    return toolbar;
+}
+
+function copyCode(text, button) {
+    if (!navigator.clipboard || !navigator.clipboard.writeText) {
+        alert('Copying is not available here. Select the code and use Ctrl + C instead.');
+        return;
+    }
+    navigator.clipboard.writeText(text).then(() => {
+        button.textContent = 'Copied!';
+        setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+    }, () => alert('Could not copy to the clipboard.'));
+}
+
+function buildCodeView(note) {
+    const content = note.content || ' ';
+    const body = document.createElement('div');
+    body.className = 'code-body';
+
+    const gutter = document.createElement('pre');
+    gutter.className = 'code-line-numbers';
+    gutter.setAttribute('aria-hidden', 'true');
+    const lineCount = content.replace(/\n$/, '').split('\n').length;
+    gutter.textContent = Array.from({ length: lineCount }, (_, i) => i + 1).join('\n');
+    body.appendChild(gutter);
+
+    const pre = document.createElement('pre');
+    const code = document.createElement('code');
+    code.textContent = content;
+    pre.appendChild(code);
+    highlightCode(code, note.language);
+    body.appendChild(pre);
+    return body;
+}
+
+// --- Math & Diagrams ---
+// $...$ and $$...$$ are typeset by KaTeX through a marked extension, so code spans and fences
+// keep their dollar signs. ```mermaid fences become diagrams; the Mermaid bundle is large, so
+// it is only loaded once a note contains one. Both outputs pass through DOMPurify like the
+// rest of the markdown.
+const MERMAID_SRC = 'vendor/mermaid/mermaid.min.js';
+const DIAGRAM_CACHE_LIMIT = 50;
+const MARKDOWN_PREVIEW_DELAY_MS = 150;
+const MATH_BLOCK = /^\$\$([\s\S]+?)\$\$[ \t]*(?:\n|$)/;
+const MATH_INLINE = /^\$\$([^\n`]+?)\$\$|^\$(?![\s$])((?:\\.|[^\\\n$`])+?)(?<!\s)\$(?!\d)/;
+
+let mathReady = false;
+let mermaidPromise = null;
+let diagramCount = 0;
+const diagramCache = new Map(); // source -> sanitized svg
+const pendingDiagrams = new Set(); // renders still running, awaited by the HTML export
+let previewTimer = null;
+
+function renderMath(tex, displayMode) {
+    return katex.renderToString(tex, { displayMode, throwOnError: false, output: 'htmlAndMathml' });
+}
+
+// Registers the math syntax with marked once, when both libraries are available.
+function setupMath() {
+    if (mathReady || !window.marked || !window.katex) return;
+    const startAt = (src, pattern) => {
+        const index = src.search(pattern);
+        return index < 0 ? undefined : index;
+    };
+    marked.use({ extensions: [
+        {
+            name: 'mathBlock',
+            level: 'block',
+            start: src => startAt(src, /^\$\$/m),
+            tokenizer(src) {
+                const match = MATH_BLOCK.exec(src);
+                if (match) return { type: 'mathBlock', raw: match[0], text: match[1].trim() };
+            },
+            renderer: token => `<div class="math-block">${renderMath(token.text, true)}</div>\n`
+        },
+        {
+            name: 'mathInline',
+            level: 'inline',
+            start: src => startAt(src, /\$/),
+            tokenizer(src) {
+                const match = MATH_INLINE.exec(src);
+                if (match) return { type: 'mathInline', raw: match[0], text: match[1] || match[2], display: Boolean(match[1]) };
+            },
+            renderer: token => renderMath(token.text, token.display)
+        }
+    ]});
+    mathReady = true;
+}
+
+function loadMermaid() {
+    if (!mermaidPromise) {
+        mermaidPromise = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = MERMAID_SRC;
+            script.onload = () => resolve();
+            script.onerror = () => reject(new Error('the diagram library could not be loaded'));
+            if (window.mermaid) resolve();
+            else document.head.appendChild(script);
+        }).then(() => {
+            mermaid.initialize({ startOnLoad: false, securityLevel: 'strict', theme: 'dark', htmlLabels: false, flowchart: { htmlLabels: false } });
+            return mermaid;
+        });
+        mermaidPromise.catch(() => { mermaidPromise = null; });
+    }
+    return mermaidPromise;
+}
+
+// Swaps each ```mermaid block in a rendered markdown element for its diagram.
+function renderDiagrams(el) {
+    el.querySelectorAll('pre > code.language-mermaid').forEach(code => {
+        const source = code.textContent;
+        const box = document.createElement('div');
+        box.className = 'mermaid-diagram';
+        code.parentElement.replaceWith(box);
+
+        if (diagramCache.has(source)) {
+            box.innerHTML = diagramCache.get(source);
+            return;
+        }
+        box.textContent = 'Rendering diagram...';
+        const job = loadMermaid()
+            .then(lib => lib.render(`mermaid-diagram-${++diagramCount}`, source))
+            .then(({ svg }) => {
+                const clean = DOMPurify.sanitize(svg, { USE_PROFILES: { svg: true, svgFilters: true } });
+                if (diagramCache.size >= DIAGRAM_CACHE_LIMIT) diagramCache.delete(diagramCache.keys().next().value);
+                diagramCache.set(source, clean);
+                box.innerHTML = clean;
+            })
+            .catch(err => {
+                box.classList.add('diagram-error');
+                box.textContent = `Diagram could not be rendered: ${err.message || err}\n\n${source}`;
+            })
+            .finally(() => pendingDiagrams.delete(job));
+        pendingDiagrams.add(job);
+    });
+}
+
+// Re-renders the preview beside a markdown editor shortly after typing stops; the editor
+// itself is untouched, so the caret stays where it is.
+function scheduleMarkdownPreview(preview, text) {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(() => {
+        if (preview.isConnected) renderMarkdownInto(preview, text || '...');
+    }, MARKDOWN_PREVIEW_DELAY_MS);
+}
+
+// --- Tables ---
+// A table note keeps its caption in `content` and its cells in `rows`: a list of rows of text
+// cells, the first of which is the header. Cells are edited in place.
+const DEFAULT_TABLE_ROWS = [['', ''], ['', '']];
+
+function isTableRows(rows) {
+    return Array.isArray(rows) && rows.length > 0
+        && rows.every(row => Array.isArray(row) && row.length > 0 && row.every(cell => typeof cell === 'string'));
+}
+
+// Every row padded to the width of the widest, so columns can be edited and exported as a whole.
+function getTableRows(note) {
+    const rows = isTableRows(note.rows) ? note.rows : DEFAULT_TABLE_ROWS;
+    const width = Math.max(...rows.map(row => row.length));
+    return rows.map(row => row.concat(Array(width - row.length).fill('')));
+}
+
+// A pipe would end the cell and a line break the row.
+function escapeTableCell(text) {
+    return text.replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|').trim();
+}
+
+function tableToMarkdown(rows) {
+    const line = cells => `| ${cells.map(escapeTableCell).join(' | ')} |`;
+    return [line(rows[0]), line(rows[0].map(() => '---')), ...rows.slice(1).map(line)];
+}
+
+function focusTableCell(noteId, row, col) {
+    const entry = renderedNodes.get(noteId);
+    const cell = entry && entry.el.isConnected ? entry.row.querySelector(`.note-table [data-row="${row}"][data-col="${col}"]`) : null;
+    if (!cell) return;
+    cell.focus();
+    const range = document.createRange();
+    range.selectNodeContents(cell);
+    range.collapse(false);
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+}
+
+// Adds or removes a row (axis 'row') or column ('col') at `index`, then puts the caret in `focus`.
+function changeTableShape(note, axis, index, remove, focus) {
+    let rows = getTableRows(note);
+    if (axis === 'row') {
+        rows = rows.slice();
+        if (remove) rows.splice(index, 1);
+        else rows.splice(index, 0, rows[0].map(() => ''));
+    } else {
+        rows = rows.map(row => {
+            const copy = row.slice();
+            if (remove) copy.splice(index, 1);
+            else copy.splice(index, 0, '');
+            return copy;
+        });
+    }
+    updateNoteData(note.id, { rows });
+    renderSubtree(note.id);
+    setTimeout(() => focusTableCell(note.id, focus[0], focus[1]), 0);
+}
+
+// Tab / Shift + Tab step through the cells and Enter goes down a row; stepping past the last
+// cell adds a row. Other shortcuts (Ctrl + Enter, undo...) work as in any note.
+function handleTableCellKeydown(event, note) {
+    const cell = event.target;
+    const row = parseInt(cell.dataset.row);
+    const col = parseInt(cell.dataset.col);
+    const rows = getTableRows(note);
+    const width = rows[0].length;
+    const plain = !(event.ctrlKey || event.metaKey || event.altKey);
+
+    if (plain && event.key === 'Tab') {
+        event.preventDefault();
+        const next = row * width + col + (event.shiftKey ? -1 : 1);
+        if (next < 0) return;
+        if (next >= rows.length * width) changeTableShape(note, 'row', rows.length, false, [rows.length, 0]);
+        else focusTableCell(note.id, Math.floor(next / width), next % width);
+    } else if (plain && event.key === 'Enter') {
+        event.preventDefault();
+        if (row + 1 >= rows.length) changeTableShape(note, 'row', rows.length, false, [rows.length, col]);
+        else focusTableCell(note.id, row + 1, col);
+    } else if (plain && event.key === 'Escape') {
+        event.preventDefault();
+        focusTreeItem(note.id);
+    } else {
+        handleKeydown(event);
+    }
+}
+
+function buildTableToolbar(note, getActiveCell) {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'table-toolbar';
+    const rows = getTableRows(note);
+    const actions = [
+        ['+ Row', 'Add a row below', () => { const [r, c] = getActiveCell(); changeTableShape(note, 'row', r + 1, false, [r + 1, c]); }],
+        ['+ Column', 'Add a column to the right', () => { const [r, c] = getActiveCell(); changeTableShape(note, 'col', c + 1, false, [r, c + 1]); }],
+        ['− Row', 'Remove this row', () => { const [r, c] = getActiveCell(); changeTableShape(note, 'row', r, true, [Math.max(0, r - 1), c]); }, rows.length > 1],
+        ['− Column', 'Remove this column', () => { const [r, c] = getActiveCell(); changeTableShape(note, 'col', c, true, [r, Math.max(0, c - 1)]); }, rows[0].length > 1]
+    ];
+    actions.forEach(([label, title, action, enabled = true]) => {
+        const btn = document.createElement('button');
+        btn.textContent = label;
+        btn.title = title;
+        btn.disabled = !enabled;
+        // Keep the caret in its cell so the action knows where to apply.
+        btn.addEventListener('mousedown', (e) => e.preventDefault());
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            action();
+        });
+        toolbar.appendChild(btn);
+    });
+    return toolbar;
+}
+
+function buildTable(note, editable) {
+    const rows = getTableRows(note);
+    const table = document.createElement('table');
+    table.className = 'note-table';
+    let activeCell = [rows.length - 1, rows[0].length - 1];
+
+    rows.forEach((cells, r) => {
+        const tr = document.createElement('tr');
+        cells.forEach((text, c) => {
+            const cell = document.createElement(r === 0 ? 'th' : 'td');
+            cell.textContent = text;
+            cell.dataset.row = r;
+            cell.dataset.col = c;
+            if (editable) {
+                cell.setAttribute('contenteditable', 'true');
+                cell.addEventListener('focus', () => { activeCell = [r, c]; });
+                cell.addEventListener('keydown', (e) => handleTableCellKeydown(e, note));
+                cell.addEventListener('paste', (e) => {
+                    e.preventDefault();
+                    document.execCommand('insertText', false, e.clipboardData.getData('text/plain').replace(/\s*[\r\n]+\s*/g, ' '));
+                });
+                cell.addEventListener('input', () => {
+                    const updated = getTableRows(note).map(row => row.slice());
+                    updated[r][c] = cell.textContent;
+                    updateNoteData(note.id, { rows: updated }, 'typing:' + note.id);
+                    markNoteRendered(note.id);
+                });
+            }
+            tr.appendChild(cell);
+        });
+        (r === 0 ? table.createTHead() : (table.tBodies[0] || table.createTBody())).appendChild(tr);
+    });
+
+    if (!editable) return table;
+    const wrap = document.createElement('div');
+    wrap.className = 'note-table-wrap';
+    wrap.appendChild(table);
+    wrap.appendChild(buildTableToolbar(note, () => activeCell));
+    return wrap;
+}
+
+// --- Node Types ---
+// Each node type is declared once, with registerNodeType(id, definition). A definition has:
+//   label                  name in the type pickers
+//   badge(note)            text of the type badge (none when empty)
+//   render(note, parts)    fills parts.box (the .note-content, editable unless the type or a
+//                          read-only view says otherwise), parts.column below it and parts.wrapper
+//                          before it; parts.editable is false in a read-only view or an export,
+//                          and parts.expanded says whether collapsible content is shown
+//   editor(note, parts)    optional separate edit mode, opened by clicking the rendered box and
+//                          closed when it loses focus; may return a function called with the
+//                          text on every input
+//   literal                the content is not prose: no #tags, @dates or [[links]] are read in it
+//   ownContent             the note shows something besides its children, so it can always collapse
+//   siblingType            type of the note Enter adds after it (default: the same type)
+//   validate(node, report) checks the type's own fields when a document is read
+//   searchText(note)       what search and filters look at (default: the content)
+//   toMarkdown(note)       lines of its Markdown list item (default: the content's lines)
+//   toOpml(note)           extra OPML attributes; fromOpml(el, note) reads them back
+// Ctrl + Shift + . cycles through the types in the order they are registered.
+const nodeTypes = new Map();
+
+function registerNodeType(id, definition) {
+    nodeTypes.set(id, Object.assign({ id, label: id, badge: () => '' }, definition));
+}
+
+// Anything unknown (only possible in data that was never validated) is shown as text.
+function getNodeType(type) {
+    return nodeTypes.get(type) || nodeTypes.get('text');
+}
+
+function isNodeType(type) {
+    return nodeTypes.has(type);
+}
+
+function getNextNodeType(type) {
+    const ids = Array.from(nodeTypes.keys());
+    return ids[(ids.indexOf(type || 'text') + 1) % ids.length];
+}
+
+function fillNodeTypeSelect(select) {
+    nodeTypes.forEach(nodeType => select.add(new Option(nodeType.label, nodeType.id)));
+}
+
+registerNodeType('text', {
+    label: 'Text',
+    render: (note, { box }) => { box.textContent = note.content; }
+});
+
+registerNodeType('code', {
+    label: 'Code',
+    badge: note => note.language || 'CODE',
+    literal: true,
+    render: (note, { box, editable }) => {
+        box.setAttribute('contenteditable', 'false');
+        box.classList.add('code-view');
+        box.appendChild(buildCodeToolbar(note, editable));
+        box.appendChild(buildCodeView(note));
+    },
+    editor: (note, { box }) => {
+        fillCodeEditor(box, note.content);
+        box.dataset.mode = 'code-edit';
+        box.classList.add('code-editor');
+        box.spellcheck = false;
+    },
+    validate: (node, report) => {
+        if (node.language !== undefined && typeof node.language !== 'string') report('language must be a string');
+    },
+    toMarkdown: note => ['```' + (note.language || ''), ...(note.content || '').split('\n'), '```'],
+    toOpml: note => note.language ? { _language: note.language } : {},
+    fromOpml: (el, note) => {
+        const language = el.getAttribute('_language');
+        if (language) note.language = language;
+    }
+});
+
+registerNodeType('markdown', {
+    label: 'Markdown',
+    badge: () => 'MD',
+    render: (note, { box }) => {
+        box.setAttribute('contenteditable', 'false');
+        box.classList.add('markdown-view');
+        renderMarkdownInto(box, note.content || '...');
+    },
+    editor: (note, { box, column }) => {
+        box.textContent = note.content;
+        box.dataset.mode = 'code-edit';
+        // Live preview under the editor, refreshed as you type
+        const preview = document.createElement('div');
+        preview.className = 'markdown-view markdown-preview';
+        renderMarkdownInto(preview, note.content || '...');
+        // Clicking the preview must not blur the editor (which would end editing).
+        preview.addEventListener('mousedown', (e) => e.preventDefault());
+        preview.addEventListener('click', followClickedLink);
+        column.appendChild(preview);
+        return (text) => scheduleMarkdownPreview(preview, text);
+    }
+});
+
+registerNodeType('todo', {
+    label: 'Todo',
+    badge: () => '✓',
+    render: (note, { wrapper, box, editable }) => {
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'note-checkbox';
+        checkbox.checked = note.checked || false;
+        checkbox.disabled = !editable;
+        checkbox.addEventListener('change', (e) => {
+            updateNoteData(note.id, { checked: e.target.checked });
+            if (e.target.checked) wrapper.classList.add('note-done');
+            else wrapper.classList.remove('note-done');
+            markNoteRendered(note.id);
+            applyTaskDecorations();
+        });
+        wrapper.appendChild(checkbox);
+        if (note.checked) wrapper.classList.add('note-done');
+        box.textContent = note.content;
+    },
+    toMarkdown: note => {
+        const [first, ...rest] = (note.content || '').split('\n');
+        return [`[${note.checked ? 'x' : ' '}] ${first}`, ...rest];
+    },
+    toOpml: note => note.checked ? { _complete: 'true' } : {},
+    fromOpml: (el, note) => {
+        if (el.getAttribute('_complete') === 'true') note.checked = true;
+    }
+});
+
+registerNodeType('image', {
+    label: 'Image',
+    badge: () => 'IMG',
+    ownContent: true,
+    siblingType: 'text',
+    render: renderImageNote,
+    toMarkdown: note => [`![${(note.content || '').replace(/\s+/g, ' ')}](${note.imageUrl || ''})`],
+    toOpml: note => note.imageUrl ? { _url: note.imageUrl } : {},
+    fromOpml: (el, note) => {
+        const url = el.getAttribute('_url');
+        if (url) note.imageUrl = url;
+    }
+});
+
+registerNodeType('table', {
+    label: 'Table',
+    badge: () => 'TABLE',
+    ownContent: true,
+    siblingType: 'text',
+    render: (note, { box, column, editable, expanded }) => {
+        box.textContent = note.content;
+        box.classList.add('table-caption');
+        box.dataset.placeholder = editable ? 'Caption' : '';
+        if (expanded) column.appendChild(buildTable(note, editable));
+    },
+    validate: (node, report) => {
+        if (node.rows !== undefined && !isTableRows(node.rows)) report('rows must be a non-empty list of non-empty lists of strings');
+    },
+    searchText: note => [note.content || '', ...getTableRows(note).map(row => row.join(' '))].join('\n'),
+    toMarkdown: note => [(note.content || '').replace(/\s*\n\s*/g, ' '), ...tableToMarkdown(getTableRows(note))],
+    toOpml: note => ({ _rows: JSON.stringify(getTableRows(note)) }),
+    fromOpml: (el, note) => {
+        try {
+            const rows = JSON.parse(el.getAttribute('_rows'));
+            if (isTableRows(rows)) note.rows = rows;
+        } catch (err) {
+            // No (or unreadable) cells: the table starts out empty.
+        }
+    }
+});
+
+// --- RENDER LOGIC ---
+
+function focusNote(id) {
+    const entry = renderedNodes.get(id);
+    const el = entry && entry.el.isConnected ? entry.row.querySelector('.note-content') : null;
+    if (el) {
+        el.focus();
+        const range = document.createRange();
+        range.selectNodeContents(el);
+        if (isCodeEditor(el) && el.lastChild) range.setEndBefore(el.lastChild);
+        range.collapse(false);
+        const sel = window.getSelection();
+        sel.removeAllRanges();
+        sel.addRange(range);
+    }
+}
+
+// The libraries below are optional at runtime: if one failed to load (or throws), the note
+// falls back to plain text instead of breaking the whole render.
+function highlightCode(codeEl, language) {
+    if (!window.hljs) return;
+    try {
+        // A language highlight.js doesn't know is left to auto-detection.
+        if (language && hljs.getLanguage(language)) codeEl.classList.add(`language-${language}`);
+        hljs.highlightElement(codeEl);
+    } catch (err) {
+        // The code stays as plain text.
+    }
+}
+
+// Markdown is only rendered as HTML when it can also be sanitised.
+function renderMarkdownInto(el, text) {
+    if (window.marked && window.DOMPurify) {
+        try {
+            setupMath();
+            setupLinkSyntax();
+            el.innerHTML = DOMPurify.sanitize(marked.parse(text));
+            el.classList.remove('markdown-fallback');
+            renderDiagrams(el);
+            return;
+        } catch (err) {
+            // Shown as plain text below.
+        }
+    }
+    el.textContent = text;
+    el.classList.add('markdown-fallback');
+}
+
+function isUrl(string) {
+    try { return Boolean(new URL(string)); } catch(e){ return false; }
+}
+
+function cycleNodeType(note) {
+    updateNoteData(note.id, { type: getNextNodeType(note.type) });
+    renderSubtree(note.id);
+    announce(`Type: ${getNodeType(note.type).label}`);
+}
+
+function startEditing(note) {
+    note.isEditing = true;
+    renderSubtree(note.id);
+    setTimeout(() => focusNote(note.id), 0);
+}
+
+function stopEditing(note) {
+    note.isEditing = false;
+    renderSubtree(note.id);
+}
+
+// Internal links in rendered (non-editable) markdown open their target.
+function followClickedLink(event) {
+    const link = event.target.closest('.internal-link');
+    if (!link) return false;
+    event.preventDefault();
+    followLink(link.dataset.link);
+    return true;
+}
+
+function renderImageNote(note, { box, column, editable, expanded }) {
+    if (!note.imageUrl && isUrl(note.content)) {
+        note.imageUrl = note.content;
+        note.content = 'Image';
+        saveNotes(); 
+    }
+    box.textContent = note.content; 
+    if (!expanded) return;
+
+    if (editable) {
+        const urlInput = document.createElement('input');
+        urlInput.type = 'text';
+        urlInput.className = 'url-input';
+        urlInput.placeholder = note.imageId ? 'Stored in this browser (paste a URL to replace)' : 'Paste Image URL here, or paste/drop an image file...';
+        urlInput.value = note.imageUrl || '';
+        urlInput.addEventListener('change', (e) => {
+            const updates = { imageUrl: e.target.value };
+            if (note.imageId && e.target.value) {
+                updates.imageId = undefined;
+                releaseImageUrl(note.imageId);
+            }
+            updateNoteData(note.id, updates);
+            renderSubtree(note.id); 
+        });
+        column.appendChild(urlInput);
+    }
+
+    if (note.imageUrl || note.imageId) {
+        const img = document.createElement('img');
+        img.className = 'note-image-preview';
+        img.alt = note.content || 'Image';
+        img.onerror = () => img.replaceWith(createImageNotice(`Image could not be loaded${navigator.onLine === false ? ' (offline)' : ''}.`));
+        if (note.imageId) {
+            getImageUrl(note.imageId).then(url => {
+                if (url) img.src = url;
+                else img.replaceWith(createImageNotice('Image not found in this browser. Import the .wote file it came from to restore it.'));
             });
+        } else {
+            img.src = note.imageUrl;
+        }
+        column.appendChild(img);
+    }
+}
+
+// The note's type (see Node Types) fills in the content; the editing behaviour shared by
+// every editable box is wired up here.
+// `view.exporting` renders for a standalone file: read-only, with collapsed content included.
+function renderNoteContent(note, wrapper, view = {}) {
+    wrapper.innerHTML = '';
+    const nodeType = getNodeType(note.type);
+    const editable = !readOnly && !view.exporting;
+
+    const mainCol = document.createElement('div');
+    mainCol.className = 'note-main-column';
+    
+    const contentBox = document.createElement('div');
+    contentBox.className = 'note-content';
+    contentBox.setAttribute('contenteditable', String(editable)); 
+    mainCol.appendChild(contentBox);
+
+    const parts = { wrapper, column: mainCol, box: contentBox, editable, expanded: isExpanded(note, view) };
+    const editing = Boolean(note.isEditing && nodeType.editor && editable);
+    const onInput = editing ? nodeType.editor(note, parts) : nodeType.render(note, parts);
+    if (nodeType.editor && !editing) {
+        contentBox.addEventListener('click', (e) => {
+            if (!followClickedLink(e) && editable) startEditing(note);
+        });
+    }
+
+    if (contentBox.getAttribute('contenteditable') === 'true') {
+        contentBox.addEventListener('keydown', handleKeydown);
+        contentBox.addEventListener('paste', handlePaste);
+        contentBox.addEventListener('click', handleLinkClick);
+        contentBox.addEventListener('blur', closeLinkSuggest);
+        contentBox.addEventListener('input', (e) => {
+            const text = isCodeEditor(e.target) ? e.target.textContent : e.target.innerText;
+            updateNoteData(note.id, { content: text }, 'typing:' + note.id);
+            markNoteRendered(note.id);
+            applyMetaHighlights(note.id);
+            applyLinks(note.id);
+            if (!nodeType.literal) updateLinkSuggest(contentBox);
+            if (onInput) onInput(text);
+            if (/\s$/.test(text)) sealHistory();
+        });
+        if (editing) contentBox.addEventListener('blur', () => stopEditing(note));
+    }
+
+    // Outgoing link chips and the backlink list, filled in by applyLinks()
+    const links = document.createElement('div');
+    links.className = 'note-links';
+    mainCol.appendChild(links);
+
+    wrapper.appendChild(mainCol);
+}
+
+function buildNoteRow(note) {
+    const noteRow = document.createElement('div');
+    noteRow.className = 'note-row';
+    if (note.syncConflict) {
+        noteRow.classList.add('sync-conflict');
+        noteRow.title = "Edited in another tab at the same time as the note above";
+    }
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'note-content-wrapper';
+    if (!readOnly) wrapper.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        cycleNodeType(note);
+    });
+
+    renderNoteContent(note, wrapper);
+    noteRow.appendChild(wrapper);
+
+    const controls = document.createElement('div');
+    controls.className = 'node-controls';
+    const isZoomRoot = note.id === zoomRootId;
+
+    // Todo progress, filled in by applyTodoProgress()
+    const progress = document.createElement('span');
+    progress.className = 'note-progress';
+    controls.appendChild(progress);
+
+    // Backlinks, filled in by applyLinks()
+    const backlinks = document.createElement('button');
+    backlinks.className = 'icon-btn note-backlinks';
+    backlinks.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleBacklinks(note.id);
+    });
+    controls.appendChild(backlinks);
+
+    // Badge. Text notes show none, but keep a button that appears when reached with the keyboard.
+    const nodeType = getNodeType(note.type);
+    const badgeTxt = nodeType.badge(note);
+    if (!readOnly) {
+        const badge = document.createElement('button');
+        badge.className = 'type-badge';
+        badge.textContent = badgeTxt;
+        badge.dataset.label = nodeType.label;
+        const cycleKeys = formatCommandBindings('note.cycle-type');
+        badge.title = `Type: ${nodeType.label} (Click to change${cycleKeys ? ` or ${cycleKeys}` : ''})`;
+        badge.setAttribute('aria-label', `Type: ${nodeType.label}, change`);
+        badge.addEventListener('click', (e) => {
+            e.stopPropagation();
+            cycleNodeType(note);
+        });
+        controls.appendChild(badge);
+    } else if (badgeTxt) {
+        const badge = document.createElement('span');
+        badge.className = 'type-badge';
+        badge.textContent = badgeTxt;
+        badge.title = `Type: ${nodeType.label}`;
+        controls.appendChild(badge);
+    }
+
+    // Toggle (the zoom root always shows its children)
+    if ((!isZoomRoot && note.children && note.children.length > 0) || nodeType.ownContent) {
+        const toggle = document.createElement('button');
+        toggle.className = 'icon-btn toggle-btn';
+        toggle.innerHTML = isExpanded(note) ? '&#9660;' : '&#9664;'; 
+        toggle.title = withShortcut(isExpanded(note) ? 'Collapse' : 'Expand', 'note.toggle-collapse');
+        toggle.setAttribute('aria-label', isExpanded(note) ? 'Collapse' : 'Expand');
+        toggle.setAttribute('aria-expanded', isExpanded(note));
+        toggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            toggleCollapse(note.id);
+        });
+        controls.appendChild(toggle);
+    }
+
+    // A shared view only reads: collapsing is all it changes, and only in memory.
+    if (readOnly) {
+        noteRow.appendChild(controls);
+        return noteRow;
+    }
+    
+    // Zoom
+    const zoomBtn = document.createElement('button');
+    zoomBtn.className = 'icon-btn zoom-btn';
+    zoomBtn.innerHTML = isZoomRoot ? '&#8598;' : '&#8600;';
+    zoomBtn.title = isZoomRoot ? withShortcut('Zoom out', 'note.zoom-out') : withShortcut('Zoom in', 'note.zoom-in');
+    zoomBtn.setAttribute('aria-label', isZoomRoot ? 'Zoom out' : 'Zoom in');
+    zoomBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (isZoomRoot) zoomOut();
+        else zoomTo(note.id);
+    });
+    controls.appendChild(zoomBtn);
+
+    // The zoom root stays put: it cannot be deleted or dragged out of its own view.
+    if (!isZoomRoot) {
+        // Delete
+        const delBtn = document.createElement('button');
+        delBtn.className = 'icon-btn delete-btn';
+        delBtn.innerHTML = '&times;';
+        delBtn.title = withShortcut('Delete Node', 'note.delete');
+        delBtn.setAttribute('aria-label', 'Delete note');
+        delBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            deleteNote(note.id);
+        });
+        controls.appendChild(delBtn);
+
+        controls.appendChild(createDragHandle(note));
+    }
+
+    noteRow.appendChild(controls);
+    attachDropTarget(noteRow, note);
+    return noteRow;
+}
+
+// --- Keyed Renderer ---
+// Rendered notes keep their elements between renders. A row is only rebuilt when the note's
+// own fields (or whether it shows children) change; everything else is moved, inserted or
+// removed in place, so scroll position, focus and selection survive most updates.
+const renderedNodes = new Map(); // id -> { note, el, row, signature }
+let isRendering = false;
+let renderPending = false;
+
+function getRowSignature(note) {
+    const { children, ...own } = note;
+    return JSON.stringify([own, Boolean(children && children.length > 0), isExpanded(note), note.id === zoomRootId]);
+}
+
+// Call after editing the DOM directly (typing, checkbox) so the row is not rebuilt needlessly.
+function markNoteRendered(noteId) {
+    const entry = renderedNodes.get(noteId);
+    if (!entry) return;
+    entry.signature = getRowSignature(entry.note);
+    entry.el.setAttribute('aria-label', describeNote(entry.note));
+}
+
+function renderNote(note, depth, visited) {
+    let entry = renderedNodes.get(note.id);
+    if (!entry) {
+        const el = document.createElement('div');
+        el.className = 'note';
+        el.dataset.id = note.id;
+        el.setAttribute('role', 'treeitem');
+        el.tabIndex = note.id === activeItemId ? 0 : -1;
+        entry = { note: null, el, row: null, signature: null };
+        renderedNodes.set(note.id, entry);
+    }
+    if (visited) visited.add(note.id);
+
+    const { el } = entry;
+    el.dataset.depth = depth;
+    el.setAttribute('aria-level', depth + 1);
+    el.classList.toggle('root-note', depth === 0 || note.id === zoomRootId);
+    el.classList.toggle('filter-context', isFilterContext(note.id));
+
+    const signature = getRowSignature(note);
+    if (entry.note !== note || entry.signature !== signature) {
+        const row = buildNoteRow(note);
+        if (entry.row) el.replaceChild(row, entry.row);
+        else el.prepend(row);
+        Object.assign(entry, { note, row, signature, progress: '', linksKey: '' });
+        el.setAttribute('aria-label', describeNote(note));
+        setRowTabStops(entry);
+    }
+
+    let replies = entry.row.nextElementSibling;
+    const children = getVisibleNotes(note.children || []);
+    if (children.length > 0 || getNodeType(note.type).ownContent) el.setAttribute('aria-expanded', isExpanded(note));
+    else el.removeAttribute('aria-expanded');
+    if (children.length > 0 && isExpanded(note)) {
+        if (!replies) {
+            replies = document.createElement('div');
+            replies.className = 'replies';
+            replies.setAttribute('role', 'group');
+            el.appendChild(replies);
+        }
+        renderNoteList(children, replies, depth + 1, visited);
+    } else if (replies) {
+        replies.remove();
+    }
+    return el;
+}
+
+function renderNoteList(notes, parentEl, depth, visited) {
+    notes.forEach((note, i) => {
+        const el = renderNote(note, depth, visited);
+        if (parentEl.children[i] !== el) parentEl.insertBefore(el, parentEl.children[i] || null);
+    });
+    while (parentEl.children.length > notes.length) parentEl.lastElementChild.remove();
+}
+
+// Renders can be triggered from inside a render (e.g. blur fires when a focused row is
+// replaced); those are deferred until the current one finishes.
+function runRender(render) {
+    if (isRendering) {
+        renderPending = true;
+        return;
+    }
+    isRendering = true;
+    try {
+        computeFilterView();
+        render();
+    } finally {
+        isRendering = false;
+    }
+    applySearchHighlights();
+    applySelection();
+    applyTaskDecorations();
+    syncActiveItem();
+    if (renderPending) {
+        renderPending = false;
+        renderAllNotes();
+    }
+}
+
+function renderAllNotes() {
+    runRender(() => {
+        const container = document.getElementById('note-container');
+        const visited = new Set();
+        const { notes, depth } = getViewRoots();
+        renderNoteList(getVisibleNotes(notes), container, depth, visited);
+        for (const id of renderedNodes.keys()) {
+            if (!visited.has(id)) renderedNodes.delete(id);
+        }
+        renderBreadcrumbs();
+    });
+}
+
+// Patches a single note and its descendants; falls back to a full render if it is not on screen.
+function renderSubtree(noteId) {
+    const entry = renderedNodes.get(noteId);
+    const note = findNoteById(notesData, noteId);
+    if (!entry || !note || !entry.el.isConnected) {
+        renderAllNotes();
+        return;
+    }
+    runRender(() => renderNote(note, parseInt(entry.el.dataset.depth), null));
+}
+
+// --- Accessibility ---
+// #note-container is an ARIA tree: every .note is a treeitem (see renderNote) and only one of
+// them, the last one used, is in the tab order, together with the controls on its row (roving
+// focus). A focused treeitem is browsed with the arrow keys; Enter edits it and Esc returns
+// to it. Structural changes are read out through the #outline-status live region.
+const ITEM_FOCUSABLES = 'a[href], button, input, select, textarea, [contenteditable="true"]';
+let activeItemId = null;
+
+function countNotes(count) {
+    return `${count} note${count === 1 ? '' : 's'}`;
+}
+
+function announce(message) {
+    const region = document.getElementById('outline-status');
+    if (!region) return;
+    // Cleared first, so the same message twice in a row is read out again.
+    region.textContent = '';
+    setTimeout(() => { region.textContent = message; }, 50);
+}
+
+// What a screen reader says for a treeitem; the text itself is read while it is edited.
+function describeNote(note) {
+    const title = getNoteTitle(note);
+    if (note.type === 'todo') return `${title}, ${note.checked ? 'done' : 'to do'}`;
+    return note.type === 'text' ? title : `${getNodeType(note.type).label}: ${title}`;
+}
+
+// The note text is not a tab stop of its own: Tab there indents. Enter on the treeitem gets in.
+function setTabStop(el, active) {
+    el.tabIndex = active && !el.classList.contains('note-content') ? 0 : -1;
+}
+
+// Called whenever a row's controls are (re)built: by renderNote and applyRowLinks.
+function setRowTabStops(entry) {
+    const active = entry.note.id === activeItemId;
+    entry.row.querySelectorAll(ITEM_FOCUSABLES).forEach(el => setTabStop(el, active));
+}
+
+function setActiveItem(noteId) {
+    const previous = renderedNodes.get(activeItemId);
+    activeItemId = noteId;
+    if (previous && previous.note.id !== noteId) {
+        previous.el.tabIndex = -1;
+        setRowTabStops(previous);
+    }
+    const entry = renderedNodes.get(noteId);
+    if (!entry) return;
+    entry.el.tabIndex = 0;
+    setRowTabStops(entry);
+}
+
+// After a render: the tab stop moves to the first note if its own note went away.
+function syncActiveItem() {
+    const entry = renderedNodes.get(activeItemId);
+    if (entry && entry.el.isConnected) return;
+    const first = document.querySelector('#note-container .note');
+    if (first) setActiveItem(first.dataset.id);
+}
+
+function handleTreeFocusIn(event) {
+    const item = event.target.closest('.note');
+    if (item && item.dataset.id !== activeItemId) setActiveItem(item.dataset.id);
+}
+
+function focusTreeItem(noteId) {
+    const entry = renderedNodes.get(noteId);
+    if (!entry || !entry.el.isConnected) return;
+    setActiveItem(noteId);
+    entry.el.focus();
+}
+
+function editTreeItem(noteId) {
+    const note = findNoteById(notesData, noteId);
+    if (!note) return;
+    if (getNodeType(note.type).editor && !readOnly) startEditing(note);
+    else focusNote(noteId);
+}
+
+// Keys on a focused treeitem (not on its text or controls). Tab and Shift + Tab move through
+// the page as usual; shortcuts with Ctrl or Alt act on the note and leave the focus on the item.
+function handleTreeItemKeydown(event) {
+    const item = event.target;
+    if (!item.classList.contains('note')) return;
+    const noteId = item.dataset.id;
+    const note = findNoteById(notesData, noteId);
+    if (!note) return;
+
+    if (event.ctrlKey || event.metaKey || event.altKey) {
+        handleKeydown(event);
+        if (event.defaultPrevented) {
+            setTimeout(() => {
+                const focused = document.activeElement && document.activeElement.closest('#note-container .note');
+                if (focused) focusTreeItem(focused.dataset.id);
+            }, 0);
         }
-        mainCol.appendChild(contentBox);
+        return;
     }
-    // MARKDOWN
-    else if (note.type === 'markdown') {
-        if (note.isEditing) {
-            contentBox.textContent = note.content;
-            contentBox.dataset.mode = "code-edit";
-            contentBox.focus();
-        } else {
-            contentBox.setAttribute('contenteditable', 'false');
-            contentBox.className += ' markdown-view';
-            const raw = note.content || '...';
-            contentBox.innerHTML = window.DOMPurify ? DOMPurify.sanitize(marked.parse(raw)) : marked.parse(raw);
-            contentBox.addEventListener('click', () => {
-                note.isEditing = true;
-                renderAllNotes();
-                setTimeout(() => focusNote(note.id), 0);
-            });
-        }
-        mainCol.appendChild(contentBox);
-    } 
-    // IMAGE
-    else if (note.type === 'image') {
-        if (!note.imageUrl && isUrl(note.content)) {
-            note.imageUrl = note.content;
-            note.content = 'Image';
-            saveNotes(); 
-        }
-        contentBox.textContent = note.content; 
-        mainCol.appendChild(contentBox);
-
-        if (!note.collapsed) {
-            const urlInput = document.createElement('input');
-            urlInput.type = 'text';
-            urlInput.className = 'url-input';
-            urlInput.placeholder = 'Paste Image URL here...';
-            urlInput.value = note.imageUrl || '';
-            urlInput.addEventListener('change', (e) => {
-                updateNoteData(note.id, { imageUrl: e.target.value });
-                renderAllNotes(); 
-            });
-            mainCol.appendChild(urlInput);
-
-            if (note.imageUrl) {
-                const img = document.createElement('img');
-                img.src = note.imageUrl;
-                img.className = 'note-image-preview';
-                img.onerror = () => { img.style.display = 'none'; };
-                mainCol.appendChild(img);
-            }
+
+    const visible = getVisibleNoteIds();
+    const index = visible.indexOf(noteId);
+    const hasChildren = note.children && note.children.length > 0 && noteId !== zoomRootId;
+    let target = null;
+    switch (event.key) {
+        case 'ArrowDown': target = visible[index + 1]; break;
+        case 'ArrowUp': target = visible[index - 1]; break;
+        case 'Home': target = visible[0]; break;
+        case 'End': target = visible[visible.length - 1]; break;
+        case 'ArrowRight':
+            if (hasChildren && !isExpanded(note)) toggleCollapse(noteId);
+            else if (hasChildren) target = visible[index + 1];
+            break;
+        case 'ArrowLeft': {
+            const location = locateNote(noteId);
+            if (hasChildren && isExpanded(note)) toggleCollapse(noteId);
+            else if (location && location.parentId && visible.includes(location.parentId)) target = location.parentId;
+            break;
         }
-    } 
-    // TEXT
-    else {
-        contentBox.textContent = note.content;
-        mainCol.appendChild(contentBox);
+        case 'Enter':
+        case 'F2':
+            editTreeItem(noteId);
+            break;
+        case 'Escape':
+            clearSelection();
+            break;
+        default:
+            return;
+    }
+    event.preventDefault();
+    if (!target) return;
+    if (event.shiftKey && (event.key === 'ArrowDown' || event.key === 'ArrowUp') && !readOnly) {
+        selectRange(hasSelection() ? selectionAnchorId : noteId, target);
+        extendingSelection = true;
+        focusTreeItem(target);
+        extendingSelection = false;
+    } else {
+        focusTreeItem(target);
     }
+}
 
-    if (contentBox.getAttribute('contenteditable') === 'true') {
-        contentBox.addEventListener('keydown', handleKeydown);
-        contentBox.addEventListener('input', (e) => {
-            updateNoteData(note.id, { content: e.target.innerText });
-        });
-        if (note.type === 'markdown' || note.type === 'code') {
-            contentBox.addEventListener('blur', () => {
-                note.isEditing = false;
-                renderAllNotes();
-            });
-        }
+// --- Commands & Key Bindings ---
+// Every keyboard action is a command in COMMANDS. 'note' commands are bound while a note is
+// being edited and run on it; 'global' ones work anywhere. handleKeydown/handleGlobalKeydown
+// look key presses up here, the help manual and the Ctrl + K palette list the commands, and
+// bindings can be changed under Keyboard Shortcuts (kept in localStorage as overrides of `keys`).
+// A binding is written 'Ctrl+Shift+.'; Ctrl also stands for Cmd on a Mac. Only commands
+// marked `viewer` are offered in a read-only shared view.
+const KEY_BINDINGS_KEY = 'woteKeyBindings';
+const SHIFTED_KEYS = { '>': '.', '<': ',', '?': '/', ':': ';', '"': "'", '{': '[', '}': ']', '|': '\\', '~': '`', '_': '-', '+': '=' };
+const KEY_NAMES = { ArrowUp: 'Up', ArrowDown: 'Down', ArrowLeft: 'Left', ArrowRight: 'Right' };
+
+// Runs a note command on the whole selection when there is one. Commands marked `selection`
+// take precedence over a code block's own Tab/Enter handling while nodes are selected.
+const onSelection = (whenSelected, otherwise) => (ctx) => hasSelection() ? whenSelected(ctx) : otherwise(ctx);
+
+const COMMANDS = [
+    { id: 'note.add-sibling', title: 'Add note below', scope: 'note', keys: ['Enter', 'Ctrl+Enter'],
+        run: ({ noteId }) => addNewSibling(noteId) },
+    { id: 'note.indent', selection: true, title: 'Indent note', scope: 'note', keys: ['Tab'],
+        run: onSelection(indentSelection, ({ noteId, depth }) => { if (depth < MAX_DEPTH) increaseNoteDepth(noteId); }) },
+    { id: 'note.outdent', selection: true, title: 'Outdent note', scope: 'note', keys: ['Shift+Tab'],
+        run: onSelection(outdentSelection, ({ noteId, depth }) => { if (depth >= 0) decreaseNoteDepth(noteId); }) },
+    { id: 'note.cycle-type', selection: true, title: 'Cycle node type (Text → Code → MD...)', scope: 'note', keys: ['Ctrl+Shift+.'],
+        run: onSelection(cycleSelectionType, ({ noteId }) => {
+            const note = findNoteById(notesData, noteId);
+            if (note) cycleNodeType(note);
+        }) },
+    { id: 'note.toggle-collapse', selection: true, title: 'Toggle collapse', scope: 'note', keys: ['Ctrl+/'],
+        run: onSelection(toggleSelectionCollapse, ({ noteId }) => {
+            toggleCollapse(noteId);
+            setTimeout(() => focusNote(noteId), 0);
+        }) },
+    { id: 'note.delete', selection: true, title: 'Delete node instantly', scope: 'note', keys: ['Ctrl+Shift+Backspace'],
+        run: onSelection(deleteSelection, ({ noteId }) => deleteNote(noteId)) },
+    { id: 'note.move-up', selection: true, title: 'Move node up among siblings', scope: 'note', keys: ['Alt+Shift+ArrowUp'],
+        run: onSelection(() => moveSelectionAmongSiblings(-1), ({ noteId }) => moveNoteAmongSiblings(noteId, -1)) },
+    { id: 'note.move-down', selection: true, title: 'Move node down among siblings', scope: 'note', keys: ['Alt+Shift+ArrowDown'],
+        run: onSelection(() => moveSelectionAmongSiblings(1), ({ noteId }) => moveNoteAmongSiblings(noteId, 1)) },
+    { id: 'note.focus-previous', title: 'Go to previous note', scope: 'note', keys: ['Ctrl+ArrowUp'],
+        run: ({ noteId }) => focusAdjacentNote(noteId, 'up') },
+    { id: 'note.focus-next', title: 'Go to next note', scope: 'note', keys: ['Ctrl+ArrowDown'],
+        run: ({ noteId }) => focusAdjacentNote(noteId, 'down') },
+    { id: 'note.zoom-in', title: 'Zoom into node', scope: 'note', keys: ['Alt+ArrowRight'],
+        run: ({ noteId }) => zoomTo(noteId) },
+    { id: 'note.zoom-out', title: 'Zoom out', scope: 'note', keys: ['Alt+ArrowLeft'], noteOptional: true,
+        run: () => zoomOut() },
+    { id: 'selection.extend-up', selection: true, title: 'Extend selection up', scope: 'note', keys: ['Ctrl+Shift+ArrowUp'],
+        run: ({ noteId }) => extendSelection(noteId, 'up') },
+    { id: 'selection.extend-down', selection: true, title: 'Extend selection down', scope: 'note', keys: ['Ctrl+Shift+ArrowDown'],
+        run: ({ noteId }) => extendSelection(noteId, 'down') },
+    // Without a selection, Esc leaves the note for its outline item (see Accessibility).
+    { id: 'selection.clear', selection: true, title: 'Clear selection, or go back to the outline', scope: 'note', keys: ['Escape'], noteOptional: true,
+        when: ({ noteId }) => hasSelection() || Boolean(noteId), run: ({ noteId }) => hasSelection() ? clearSelection() : focusTreeItem(noteId) },
+    // Plain inputs (e.g. the image URL field) keep the browser's own undo.
+    { id: 'edit.undo', title: 'Undo', scope: 'global', keys: ['Ctrl+Z'],
+        when: ({ target }) => !isPlainInput(target), run: () => undo() },
+    { id: 'edit.redo', title: 'Redo', scope: 'global', keys: ['Ctrl+Shift+Z', 'Ctrl+Y'],
+        when: ({ target }) => !isPlainInput(target), run: () => redo() },
+    { id: 'search.open', viewer: true, title: 'Search notes', scope: 'global', keys: ['Ctrl+F'], run: () => openSearch() },
+    { id: 'filter.open', viewer: true, title: 'Filter by #tag, !1, @due, @overdue, @today, @week, is:open or text', scope: 'global', keys: ['Ctrl+Shift+F'],
+        run: () => openFilter() },
+    { id: 'palette.open', viewer: true, title: 'Command palette', scope: 'global', keys: ['Ctrl+K'], run: () => openPalette() },
+    { id: 'app.menu', title: 'Open settings & data menu', scope: 'global', keys: [], run: () => openAppMenu() },
+    { id: 'app.shortcuts', title: 'Customise keyboard shortcuts', scope: 'global', keys: [], run: () => openShortcuts() },
+    { id: 'app.help', viewer: true, title: 'Open help manual', scope: 'global', keys: [], run: () => { window.location.href = '?id=help'; } },
+    { id: 'doc.new', viewer: true, title: 'New document', scope: 'global', keys: [], run: () => createNewDocument() },
+    { id: 'doc.share', title: 'Copy share link', scope: 'global', keys: [], run: () => copyShareLink() },
+    { id: 'note.share', title: 'Copy share link to this note', scope: 'note', keys: [], run: ({ noteId }) => copyShareLink(noteId) },
+    { id: 'doc.save-copy', viewer: true, title: 'Save a copy of this shared document', scope: 'global', keys: [],
+        when: () => readOnly, run: () => saveSharedCopy() },
+    { id: 'doc.history', title: 'Browse history', scope: 'global', keys: [], run: () => openHistory() },
+    { id: 'doc.encrypt', title: 'Encrypt document / change passphrase', scope: 'global', keys: [], run: () => encryptDocument() },
+    { id: 'doc.lock', title: 'Lock encrypted document', scope: 'global', keys: [], when: () => Boolean(docKey), run: () => lockDocument() },
+    { id: 'doc.export', viewer: true, title: 'Export to .wote', scope: 'global', keys: [], run: () => handleExport() },
+    { id: 'doc.export-markdown', viewer: true, title: 'Export to Markdown', scope: 'global', keys: [], run: () => handleMarkdownExport() },
+    { id: 'doc.export-opml', viewer: true, title: 'Export to OPML', scope: 'global', keys: [], run: () => handleOpmlExport() },
+    { id: 'doc.export-html', viewer: true, title: 'Export to HTML (standalone page)', scope: 'global', keys: [], run: () => handleHtmlExport() },
+    { id: 'doc.print', viewer: true, title: 'Print / save as PDF', scope: 'global', keys: [], run: () => printDocument() },
+    { id: 'doc.import', title: 'Import (.wote, .md, .opml)', scope: 'global', keys: [],
+        run: () => document.getElementById('import-file').click() }
+];
+
+let customBindings = loadKeyBindings();
+
+function loadKeyBindings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(KEY_BINDINGS_KEY) || '{}');
+        return stored && typeof stored === 'object' ? stored : {};
+    } catch (err) {
+        return {};
     }
+}
 
-    wrapper.appendChild(mainCol);
+function saveKeyBindings() {
+    localStorage.setItem(KEY_BINDINGS_KEY, JSON.stringify(customBindings));
+    if (UNIQUE_NOTE_ID === 'help') refreshHelpShortcuts();
+    refreshShortcutHints();
 }
 
-function renderNoteTree(notes, parentEl, depth = 0) {
-    if (!notes || notes.length === 0) return;
-    const repliesContainer = document.createElement('div');
-    repliesContainer.className = 'replies';
-    parentEl.appendChild(repliesContainer);
+function getBindings(command) {
+    return customBindings[command.id] || command.keys;
+}
 
-    notes.forEach(note => {
-        if (note === notesData.metadata) return;
+function setBindings(command, keys) {
+    if (JSON.stringify(keys) === JSON.stringify(command.keys)) delete customBindings[command.id];
+    else customBindings[command.id] = keys;
+    saveKeyBindings();
+}
 
-        const noteEl = document.createElement('div');
-        noteEl.className = 'note';
-        noteEl.dataset.id = note.id;
-        noteEl.dataset.depth = depth;
+function isPlainInput(el) {
+    return Boolean(el && el.matches && el.matches('input[type="text"], textarea'));
+}
 
-        const noteRow = document.createElement('div');
-        noteRow.className = 'note-row';
+// 'Ctrl+Shift+.' for a key event, or null for a bare modifier.
+function getEventCombo(event) {
+    let key = event.key;
+    if (!key || ['Control', 'Shift', 'Alt', 'Meta'].includes(key)) return null;
+    if (event.shiftKey && SHIFTED_KEYS[key]) key = SHIFTED_KEYS[key];
+    if (key === ' ') key = 'Space';
+    if (key.length === 1) key = key.toUpperCase();
+    const parts = [];
+    if (event.ctrlKey || event.metaKey) parts.push('Ctrl');
+    if (event.altKey) parts.push('Alt');
+    if (event.shiftKey) parts.push('Shift');
+    parts.push(key);
+    return parts.join('+');
+}
 
-        const wrapper = document.createElement('div');
-        wrapper.className = 'note-content-wrapper';
-        wrapper.addEventListener('contextmenu', (e) => {
-            e.preventDefault();
-            cycleNodeType(note);
-        });
+function formatCombo(combo) {
+    const [, modifiers, key] = /^((?:(?:Ctrl|Alt|Shift)\+)*)(.+)$/.exec(combo);
+    return modifiers.split('+').filter(Boolean).concat(KEY_NAMES[key] || key).join(' + ');
+}
 
-        renderNoteContent(note, wrapper);
-        noteRow.appendChild(wrapper);
+function formatBindings(command) {
+    return getBindings(command).map(formatCombo).join(' or ');
+}
 
-        const controls = document.createElement('div');
-        controls.className = 'node-controls';
+function formatCommandBindings(commandId) {
+    const command = COMMANDS.find(other => other.id === commandId);
+    return command ? formatBindings(command) : '';
+}
 
-        // Badge
-        const badgeTxt = getTypeBadge(note.type);
-        if (badgeTxt) {
-            const badge = document.createElement('span');
-            badge.className = 'type-badge';
-            badge.textContent = badgeTxt;
-            badge.title = `Type: ${note.type} (Click to change or Ctrl+Shift+.)`;
-            badge.addEventListener('click', (e) => {
-                e.stopPropagation();
-                cycleNodeType(note);
-            });
-            controls.appendChild(badge);
-        }
-
-        // Toggle
-        if ((note.children && note.children.length > 0) || note.type === 'image') {
-            const toggle = document.createElement('button');
-            toggle.className = 'icon-btn toggle-btn';
-            toggle.innerHTML = note.collapsed ? '&#9664;' : '&#9660;'; 
-            toggle.title = note.collapsed ? "Expand (Ctrl+/)" : "Collapse (Ctrl+/)";
-            toggle.addEventListener('click', (e) => {
-                e.stopPropagation();
-                updateNoteData(note.id, { collapsed: !note.collapsed });
-                renderAllNotes();
-            });
-            controls.appendChild(toggle);
-        }
-        
-        // Delete
-        const delBtn = document.createElement('button');
-        delBtn.className = 'icon-btn delete-btn';
-        delBtn.innerHTML = '&times;';
-        delBtn.title = "Delete Node (Ctrl+Shift+Backspace)";
-        delBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            deleteNote(note.id);
-        });
-        controls.appendChild(delBtn);
+// A tooltip naming the command's current shortcuts, if it has any.
+function withShortcut(label, commandId) {
+    const keys = formatCommandBindings(commandId);
+    return keys ? `${label} (${keys})` : label;
+}
 
-        noteRow.appendChild(controls);
-        noteEl.appendChild(noteRow);
-        repliesContainer.appendChild(noteEl);
+// Selection bar buttons, whose tooltips are filled in from the registry.
+const SELECTION_BUTTON_HINTS = {
+    'selection-outdent-btn': ['Outdent', 'note.outdent'],
+    'selection-indent-btn': ['Indent', 'note.indent'],
+    'selection-collapse-btn': ['Collapse / expand', 'note.toggle-collapse'],
+    'selection-delete-btn': ['Delete', 'note.delete'],
+    'selection-clear-btn': ['Clear selection', 'selection.clear']
+};
 
-        if (note.children && note.children.length > 0 && !note.collapsed) {
-            renderNoteTree(note.children, noteEl, depth + 1);
-        }
-    });
+function applyShortcutHints() {
+    for (const [id, [label, commandId]] of Object.entries(SELECTION_BUTTON_HINTS)) {
+        const btn = document.getElementById(id);
+        if (btn) btn.title = withShortcut(label, commandId);
+    }
 }
 
-function renderAllNotes() {
-    const container = document.getElementById('note-container');
-    container.innerHTML = ''; 
-    notesData.forEach(rootNote => {
-        if (rootNote === notesData.metadata) return; 
-
-        const rootEl = document.createElement('div');
-        rootEl.className = 'note root-note'; 
-        rootEl.dataset.id = rootNote.id;
-        rootEl.dataset.depth = 0;
-
-        const noteRow = document.createElement('div');
-        noteRow.className = 'note-row';
-
-        const wrapper = document.createElement('div');
-        wrapper.className = 'note-content-wrapper';
-        wrapper.addEventListener('contextmenu', (e) => {
-            e.preventDefault();
-            cycleNodeType(rootNote);
-        });
-
-        renderNoteContent(rootNote, wrapper);
-        noteRow.appendChild(wrapper);
-
-        const controls = document.createElement('div');
-        controls.className = 'node-controls';
-        
-        const badgeTxt = getTypeBadge(rootNote.type);
-        if (badgeTxt) {
-            const badge = document.createElement('span');
-            badge.className = 'type-badge';
-            badge.textContent = badgeTxt;
-            badge.addEventListener('click', (e) => {
-                e.stopPropagation();
-                cycleNodeType(rootNote);
-            });
-            controls.appendChild(badge);
-        }
+// Rows name shortcuts in their tooltips too, so they are rebuilt after a rebinding.
+function refreshShortcutHints() {
+    applyShortcutHints();
+    renderedNodes.forEach(entry => { entry.signature = null; });
+    renderAllNotes();
+}
 
-        if ((rootNote.children && rootNote.children.length > 0) || rootNote.type === 'image') {
-            const toggle = document.createElement('button');
-            toggle.className = 'icon-btn toggle-btn';
-            toggle.innerHTML = rootNote.collapsed ? '&#9664;' : '&#9660;';
-            toggle.addEventListener('click', (e) => {
-                updateNoteData(rootNote.id, { collapsed: !rootNote.collapsed });
-                renderAllNotes();
-            });
-            controls.appendChild(toggle);
-        }
-        
-        const delBtn = document.createElement('button');
-        delBtn.className = 'icon-btn delete-btn';
-        delBtn.innerHTML = '&times;';
-        delBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            deleteNote(rootNote.id);
-        });
-        controls.appendChild(delBtn);
+// Other commands already using `combo`. Note and global bindings share one key space, since a
+// note binding would hide a global one while a note is being edited.
+function findBindingConflicts(combo, exceptId) {
+    return COMMANDS.filter(command => command.id !== exceptId && getBindings(command).includes(combo));
+}
 
-        noteRow.appendChild(controls);
-        rootEl.appendChild(noteRow);
-        
-        container.appendChild(rootEl);
-        if (rootNote.children && rootNote.children.length > 0 && !rootNote.collapsed) {
-            renderNoteTree(rootNote.children, rootEl, 1);
-        }
-    });
+function getCommandForEvent(event, scope, ctx) {
+    const combo = getEventCombo(event);
+    if (!combo) return null;
+    return COMMANDS.find(command => command.scope === scope && getBindings(command).includes(combo) && isCommandAvailable(command, ctx)) || null;
 }
 
-// --- Key Handler ---
-function handleArrowNavigation(event, direction) {
+function isCommandAvailable(command, ctx) {
+    return (!readOnly || command.viewer) && (!command.when || command.when(ctx));
+}
+
+function runCommand(command, ctx) {
+    try {
+        command.run(ctx);
+    } catch (err) {
+        alert(`"${command.title}" failed. ${err.message}`);
+    }
+}
+
+function getNoteContext(noteId, event = null) {
+    const noteEl = noteId ? document.querySelector(`.note[data-id="${noteId}"]`) : null;
+    return {
+        noteId,
+        depth: noteEl ? parseInt(noteEl.dataset.depth) : 0,
+        event,
+        target: event ? event.target : null
+    };
+}
+
+// Key presses that no note handled (or made outside any note).
+function handleGlobalKeydown(event) {
+    if (event.defaultPrevented || capturingCommand) return;
+    const ctx = { noteId: null, event, target: event.target };
+    const command = getCommandForEvent(event, 'global', ctx);
+    if (!command) return;
+    event.preventDefault();
+    runCommand(command, ctx);
+}
+
+function focusAdjacentNote(noteId, direction) {
     const allNotes = Array.from(document.querySelectorAll('.note-content'));
-    const currentIndex = allNotes.findIndex(el => el === event.target);
+    const current = document.querySelector(`.note[data-id="${noteId}"] > .note-row .note-content`);
+    const currentIndex = allNotes.indexOf(current);
     if (currentIndex === -1) return;
-    let target;
-    if (direction === 'down' && currentIndex < allNotes.length - 1) target = allNotes[currentIndex + 1];
-    if (direction === 'up' && currentIndex > 0) target = allNotes[currentIndex - 1];
-    if (target) {
-        event.preventDefault();
-        target.focus();
-    }
+    const target = allNotes[currentIndex + (direction === 'down' ? 1 : -1)];
+    if (target) target.focus();
 }
 
-function handleKeydown(event) {
-    const currentNoteEl = event.target.closest('.note');
-    if (!currentNoteEl) return;
-    const noteId = currentNoteEl.dataset.id;
-    const currentDepth = parseInt(currentNoteEl.dataset.depth);
+// --- Help Manual ---
+// The shortcut list in the help document is generated from the commands, so it always shows
+// the current bindings.
+const HELP_SHORTCUTS_ID = 'h4';
+const HELP_TIPS = [
+    { id: 'tip-select', type: 'text', content: 'Shift + Click : Select several nodes (Tab, Shift + Tab, Ctrl + C, delete... then apply to all)', children: [] },
+    { id: 'tip-drag', type: 'text', content: 'Drag the ⠿ handle to move a node before, after or inside another one (or focus it and use the arrow keys)', children: [] },
+    { id: 'tip-outline', type: 'text', content: 'Esc : Leave the note and browse the outline with the arrow keys (Enter edits, Tab reaches the note\'s buttons)', children: [] },
+    { id: 'tip-filter', type: 'text', content: 'Filters: #tag, !1 (priority), @due(2026-11-01), @overdue, @today, @week, is:open or text', children: [] },
+    { id: 'tip-links', type: 'text', content: '[[ : Link to another node or document (Ctrl + Click to follow, ↩ lists backlinks)', children: [] },
+    { id: 'tip-code', type: 'text', content: 'In a code block: Tab / Shift + Tab indent lines, Enter keeps the indentation, Esc stops editing', children: [] },
+    { id: 'tip-share', type: 'text', content: '⚙️ → Copy Share Link (or "Copy share link to this note" in Ctrl + K) : A read-only link that carries the notes itself', children: [] },
+    { id: 'tip-rebind', type: 'text', content: 'Change any of these under ⚙️ → Keyboard Shortcuts', children: [] }
+];
 
-    // 1. ARROW NAVIGATION (Ctrl + Arrows)
-    if (event.key === 'ArrowUp' && (event.ctrlKey || event.metaKey)) {
-        handleArrowNavigation(event, 'up'); return;
-    }
-    if (event.key === 'ArrowDown' && (event.ctrlKey || event.metaKey)) {
-        handleArrowNavigation(event, 'down'); return;
+function getHelpShortcutNotes() {
+    const shortcuts = COMMANDS
+        .filter(command => getBindings(command).length > 0)
+        .map(command => ({ id: `key-${command.id}`, type: 'text', content: `${formatBindings(command)} : ${command.title}`, children: [] }));
+    return shortcuts.concat(JSON.parse(JSON.stringify(HELP_TIPS)));
+}
+
+function syncHelpShortcuts() {
+    const list = findNoteById(notesData, HELP_SHORTCUTS_ID);
+    if (list) list.children = getHelpShortcutNotes();
+    return Boolean(list);
+}
+
+function refreshHelpShortcuts() {
+    if (!syncHelpShortcuts()) return;
+    saveNotes();
+    renderAllNotes();
+}
+
+// --- Command Palette ---
+let paletteNoteId = null;
+let paletteResults = [];
+let paletteIndex = 0;
+
+// Subsequence match; consecutive letters and word starts score higher. -1 means no match.
+function fuzzyScore(query, text) {
+    const needle = query.toLowerCase().replace(/\s+/g, '');
+    const haystack = text.toLowerCase();
+    let score = 0;
+    let from = 0;
+    let previous = -2;
+    for (const char of needle) {
+        const found = haystack.indexOf(char, from);
+        if (found === -1) return -1;
+        score += found === previous + 1 ? 3 : 1;
+        if (found === 0 || /[\s.(-]/.test(haystack[found - 1])) score += 2;
+        previous = found;
+        from = found + 1;
     }
+    return score - haystack.length / 100;
+}
 
-    // 2. CYCLE TYPE (Ctrl + Shift + . )
-    if ((event.key === '.' || event.key === '>') && event.shiftKey && (event.ctrlKey || event.metaKey)) {
-        event.preventDefault();
-        const note = findNoteById(notesData, noteId);
-        if(note) cycleNodeType(note);
+function openPalette() {
+    const palette = document.getElementById('command-palette');
+    const input = document.getElementById('palette-input');
+    if (!palette || !input) return;
+    const noteEl = document.activeElement && document.activeElement.closest ? document.activeElement.closest('.note') : null;
+    paletteNoteId = noteEl ? noteEl.dataset.id : null;
+    palette.style.display = 'block';
+    input.value = '';
+    updatePalette();
+    input.focus();
+}
+
+function closePalette() {
+    const palette = document.getElementById('command-palette');
+    if (palette) palette.style.display = 'none';
+}
+
+function updatePalette() {
+    const input = document.getElementById('palette-input');
+    const query = input ? input.value.trim() : '';
+    paletteResults = COMMANDS
+        .filter(command => command.id !== 'palette.open' && (paletteNoteId || command.scope === 'global' || command.noteOptional))
+        .filter(command => isCommandAvailable(command, getNoteContext(paletteNoteId)))
+        .map(command => ({ command, score: query ? fuzzyScore(query, command.title) : 0 }))
+        .filter(result => result.score >= 0)
+        .sort((a, b) => b.score - a.score)
+        .map(result => result.command);
+    paletteIndex = 0;
+    renderPalette();
+}
+
+function renderPalette() {
+    const list = document.getElementById('palette-results');
+    if (!list) return;
+    list.innerHTML = '';
+    if (paletteResults.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'palette-empty';
+        empty.textContent = 'No matching commands';
+        list.appendChild(empty);
         return;
     }
+    paletteResults.forEach((command, i) => {
+        const item = document.createElement('li');
+        item.className = 'palette-item';
+        if (i === paletteIndex) item.classList.add('active');
+        const title = document.createElement('span');
+        title.textContent = command.title;
+        const keys = document.createElement('span');
+        keys.className = 'palette-keys';
+        keys.textContent = formatBindings(command);
+        item.append(title, keys);
+        item.addEventListener('click', () => runPaletteCommand(command));
+        list.appendChild(item);
+    });
+    const active = list.querySelector('.active');
+    if (active) active.scrollIntoView({ block: 'nearest' });
+}
+
+function runPaletteCommand(command) {
+    closePalette();
+    const ctx = getNoteContext(paletteNoteId);
+    if (paletteNoteId) focusNote(paletteNoteId);
+    runCommand(command, ctx);
+}
 
-    // 3. TOGGLE COLLAPSE (Ctrl + /)
-    if (event.key === '/' && (event.ctrlKey || event.metaKey)) {
+function handlePaletteKeydown(event) {
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
         event.preventDefault();
-        const note = findNoteById(notesData, noteId);
-        if(note) {
-            updateNoteData(note.id, { collapsed: !note.collapsed });
-            renderAllNotes();
-            setTimeout(() => focusNote(noteId), 0);
-        }
-        return;
+        if (paletteResults.length === 0) return;
+        paletteIndex = (paletteIndex + (event.key === 'ArrowDown' ? 1 : -1) + paletteResults.length) % paletteResults.length;
+        renderPalette();
+    } else if (event.key === 'Enter') {
+        event.preventDefault();
+        if (paletteResults[paletteIndex]) runPaletteCommand(paletteResults[paletteIndex]);
+    } else if (event.key === 'Escape') {
+        event.preventDefault();
+        closePalette();
+        if (paletteNoteId) focusNote(paletteNoteId);
     }
+}
 
-    // 4. FORCE DELETE (Ctrl + Shift + Backspace)
-    if (event.key === 'Backspace' && event.shiftKey && (event.ctrlKey || event.metaKey)) {
-        event.preventDefault();
-        deleteNote(noteId);
+// --- Shortcut Settings ---
+let capturingCommand = null;  // command waiting for its new key combination
+
+function openShortcuts() {
+    const panel = document.getElementById('shortcuts-panel');
+    if (!panel) return;
+    panel.style.display = 'block';
+    renderShortcuts();
+}
+
+function closeShortcuts() {
+    const panel = document.getElementById('shortcuts-panel');
+    if (panel) panel.style.display = 'none';
+    capturingCommand = null;
+}
+
+function renderShortcuts() {
+    const list = document.getElementById('shortcuts-list');
+    if (!list) return;
+    list.innerHTML = '';
+    COMMANDS.forEach(command => {
+        const row = document.createElement('li');
+        row.className = 'shortcut-row';
+        const title = document.createElement('span');
+        title.className = 'shortcut-title';
+        title.textContent = command.title;
+        row.appendChild(title);
+
+        const keys = document.createElement('span');
+        keys.className = 'shortcut-keys';
+        getBindings(command).forEach(combo => {
+            const chip = document.createElement('span');
+            chip.className = 'shortcut-chip';
+            const conflicts = findBindingConflicts(combo, command.id);
+            if (conflicts.length > 0) {
+                chip.classList.add('conflict');
+                chip.title = `Also bound to: ${conflicts.map(other => other.title).join(', ')}`;
+            }
+            chip.textContent = formatCombo(combo);
+            const remove = document.createElement('button');
+            remove.className = 'icon-btn';
+            remove.innerHTML = '&times;';
+            remove.title = 'Remove this shortcut';
+            remove.addEventListener('click', () => {
+                setBindings(command, getBindings(command).filter(other => other !== combo));
+                renderShortcuts();
+            });
+            chip.appendChild(remove);
+            keys.appendChild(chip);
+        });
+        const add = document.createElement('button');
+        add.className = 'shortcut-add';
+        add.textContent = capturingCommand === command ? 'Press keys… (Esc cancels)' : '+';
+        add.title = 'Add a shortcut';
+        add.addEventListener('click', () => {
+            capturingCommand = command;
+            renderShortcuts();
+        });
+        keys.appendChild(add);
+        row.appendChild(keys);
+        list.appendChild(row);
+    });
+}
+
+// While a shortcut is being recorded, the next key combination goes to it instead of the app.
+function handleShortcutCapture(event) {
+    if (!capturingCommand) return;
+    const combo = getEventCombo(event);
+    if (!combo) return;
+    event.preventDefault();
+    event.stopPropagation();
+    const command = capturingCommand;
+    capturingCommand = null;
+    if (combo === 'Escape' && command.id !== 'selection.clear') {
+        renderShortcuts();
+        return;
+    }
+    // A bare character would stop that character from being typed into notes.
+    if (/^(Shift\+)?.$/.test(combo)) {
+        alert(`${formatCombo(combo)} is needed for typing. Use a combination with Ctrl or Alt.`);
+        renderShortcuts();
         return;
     }
+    if (!getBindings(command).includes(combo)) {
+        const conflicts = findBindingConflicts(combo, command.id);
+        if (conflicts.length > 0) {
+            const names = conflicts.map(other => `"${other.title}"`).join(', ');
+            if (!confirm(`${formatCombo(combo)} is already used by ${names}. Move it to "${command.title}"?`)) {
+                renderShortcuts();
+                return;
+            }
+            conflicts.forEach(other => setBindings(other, getBindings(other).filter(key => key !== combo)));
+        }
+        setBindings(command, getBindings(command).concat(combo));
+    }
+    renderShortcuts();
+}
 
-    // Standard Enter/Tab
-    if (event.key === 'Enter' && event.shiftKey) return; 
-    if (event.key !== 'Enter' && event.key !== 'Tab') return;
+function resetShortcuts() {
+    if (!confirm('Reset all keyboard shortcuts to their defaults?')) return;
+    customBindings = {};
+    saveKeyBindings();
+    renderShortcuts();
+}
+
+// --- Key Handler ---
+function handleKeydown(event) {
+    const currentNoteEl = event.target.closest('.note');
+    if (!currentNoteEl) return;
+    if (handleLinkSuggestKeydown(event)) return;
+
+    const ctx = getNoteContext(currentNoteEl.dataset.id, event);
+    const command = getCommandForEvent(event, 'note', ctx);
+    if (!(command && command.selection && hasSelection())) {
+        if (isCodeEditor(event.target) && handleCodeEditorKeydown(event)) return;
+    }
+    // Unbound keys (Shift + Enter for a line break, plain typing...) keep their default.
+    if (!command) return;
     event.preventDefault();
+    runCommand(command, ctx);
+}
 
-    if (event.key === 'Enter') {
-        addNewSibling(noteId);
-    } else if (event.key === 'Tab') {
-        if (event.shiftKey) {
-            if (currentDepth >= 0) decreaseNoteDepth(noteId);
-        } else {
-            if (currentDepth < MAX_DEPTH) increaseNoteDepth(noteId);
+// --- Themes ---
+// Built-in themes are CSS classes in flavour.css. Custom themes are stored in localStorage as
+// { name, base, vars }: the base class supplies anything `vars` leaves out. The app-wide choice
+// may be 'system', which follows the OS light/dark setting, and a document can override it
+// through `metadata.theme`.
+const THEMES_KEY = 'woteThemes';
+const SYSTEM_THEMES_KEY = 'woteSystemThemes';
+const THEME_FILE_FORMAT = 'wote-theme';
+const BUILT_IN_THEMES = {
+    'willow-theme': 'Willow (Default)',
+    'dark-theme': 'Dark Theme',
+    'light-theme': 'Meadow (Light)'
+};
+const THEME_VARIABLES = [
+    { name: '--main-bg', label: 'Background', group: 'Colors', color: true },
+    { name: '--main-text', label: 'Text', group: 'Colors', color: true },
+    { name: '--branch-line', label: 'Branch Line', group: 'Colors', color: true },
+    { name: '--note-bg', label: 'Note BG', group: 'Colors', color: true },
+    { name: '--input-focus', label: 'Focus & Selection', group: 'Colors', color: true },
+    { name: '--font-body', label: 'Text Font', group: 'Fonts' },
+    { name: '--font-code', label: 'Code Font', group: 'Fonts' },
+    { name: '--font-size', label: 'Font Size', group: 'Fonts' },
+    { name: '--note-spacing', label: 'Between Notes', group: 'Spacing' },
+    { name: '--note-padding', label: 'Note Padding', group: 'Spacing' },
+    { name: '--indent', label: 'Indent', group: 'Spacing' },
+    { name: '--radius', label: 'Corner Radius', group: 'Spacing' },
+    { name: '--code-bg', label: 'Background', group: 'Code', color: true },
+    { name: '--code-text', label: 'Text', group: 'Code', color: true },
+    { name: '--code-comment', label: 'Comments & Line Numbers', group: 'Code', color: true },
+    { name: '--code-keyword', label: 'Keywords', group: 'Code', color: true },
+    { name: '--code-string', label: 'Strings', group: 'Code', color: true },
+    { name: '--code-number', label: 'Numbers & Attributes', group: 'Code', color: true },
+    { name: '--code-function', label: 'Functions & Titles', group: 'Code', color: true },
+    { name: '--code-type', label: 'Types & Built-ins', group: 'Code', color: true },
+    { name: '--code-tag', label: 'Tags & Names', group: 'Code', color: true },
+    { name: '--code-literal', label: 'Literals', group: 'Code', color: true }
+];
+
+let customThemes = {};
+let systemThemes = { light: 'light-theme', dark: 'willow-theme' };
+const systemDarkQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+function readStoredJSON(key, fallback) {
+    try {
+        const value = JSON.parse(localStorage.getItem(key));
+        return value && typeof value === 'object' ? value : fallback;
+    } catch (err) {
+        return fallback;
+    }
+}
+
+function loadThemeCustomizations() {
+    customThemes = readStoredJSON(THEMES_KEY, {});
+    systemThemes = Object.assign(systemThemes, readStoredJSON(SYSTEM_THEMES_KEY, {}));
+    // The single custom theme of older versions becomes a named one under its old id.
+    const legacyVars = readStoredJSON('customThemeVars', null);
+    if (legacyVars && !customThemes['custom-theme']) {
+        customThemes['custom-theme'] = { name: 'Custom', base: 'willow-theme', vars: legacyVars };
+        saveCustomThemes();
+    }
+    localStorage.removeItem('customThemeVars');
+    applyTheme();
+}
+
+function saveCustomThemes() {
+    localStorage.setItem(THEMES_KEY, JSON.stringify(customThemes));
+}
+
+function themeExists(themeId) {
+    return Boolean(BUILT_IN_THEMES[themeId] || customThemes[themeId]);
+}
+
+function getThemeName(themeId) {
+    if (customThemes[themeId]) return customThemes[themeId].name;
+    return BUILT_IN_THEMES[themeId] || themeId;
+}
+
+// The theme on screen: the document's override, else the app theme, with 'system' resolved.
+function getActiveThemeId() {
+    const docTheme = docMetadata && docMetadata.theme;
+    let themeId = docTheme && (docTheme === 'system' || themeExists(docTheme)) ? docTheme : CURRENT_THEME;
+    if (themeId === 'system') themeId = systemDarkQuery && systemDarkQuery.matches ? systemThemes.dark : systemThemes.light;
+    return themeExists(themeId) ? themeId : 'willow-theme';
+}
+
+function applyTheme(themeId = getActiveThemeId()) {
+    const root = document.documentElement; 
+    const custom = customThemes[themeId];
+    document.body.className = custom ? custom.base : themeId;
+    root.style.cssText = '';
+    if (custom) {
+        for (const [key, value] of Object.entries(custom.vars)) {
+            root.style.setProperty(key, value);
         }
     }
+    renderThemeBuilder();
 }
 
-// --- Init ---
-function setupCustomThemeListeners() {
-    const themeSelector = document.getElementById('theme-selector');
-    const builder = document.getElementById('custom-theme-builder');
-    const saveBtn = document.getElementById('save-custom-theme-btn');
-    const colorInputs = {
-        '--main-bg': document.getElementById('color-bg'),
-        '--main-text': document.getElementById('color-text'),
-        '--branch-line': document.getElementById('color-line'),
-        '--note-bg': document.getElementById('color-note-bg'),
+// Every variable of a theme as it resolves, read from a probe outside <body> so the theme on
+// screen does not leak in.
+function readThemeVars(themeId) {
+    const custom = customThemes[themeId];
+    if (custom) return Object.assign(readThemeVars(custom.base), custom.vars);
+    const root = document.documentElement;
+    const inlineVars = root.style.cssText;
+    const probe = document.createElement('div');
+    probe.className = themeId;
+    root.style.cssText = '';
+    root.appendChild(probe);
+    const style = getComputedStyle(probe);
+    const vars = {};
+    THEME_VARIABLES.forEach(({ name }) => {
+        const value = style.getPropertyValue(name).trim();
+        if (value) vars[name] = value;
+    });
+    probe.remove();
+    root.style.cssText = inlineVars;
+    return vars;
+}
+
+function setAppTheme(themeId) {
+    CURRENT_THEME = themeId;
+    localStorage.setItem('appTheme', themeId);
+    applyTheme();
+    renderThemeOptions();
+}
+
+function setDocumentTheme(themeId) {
+    if (themeId) docMetadata.theme = themeId;
+    else delete docMetadata.theme;
+    saveNotes();
+    applyTheme();
+    renderThemeOptions();
+}
+
+// New and imported themes replace whichever choice is currently in effect.
+function useTheme(themeId) {
+    if (docMetadata.theme) setDocumentTheme(themeId);
+    else setAppTheme(themeId);
+}
+
+function createCustomTheme() {
+    const fromId = getActiveThemeId();
+    const name = prompt('Name for the new theme:', `${getThemeName(fromId)} Copy`);
+    if (!name || !name.trim()) return;
+    const themeId = 'custom-' + generateId();
+    const base = customThemes[fromId] ? customThemes[fromId].base : fromId;
+    customThemes[themeId] = { name: name.trim(), base, vars: readThemeVars(fromId) };
+    saveCustomThemes();
+    useTheme(themeId);
+}
+
+function renameCustomTheme(themeId) {
+    const theme = customThemes[themeId];
+    const name = prompt('Rename theme:', theme.name);
+    if (!name || !name.trim()) return;
+    theme.name = name.trim();
+    saveCustomThemes();
+    renderThemeOptions();
+    renderThemeBuilder();
+}
+
+function deleteCustomTheme(themeId) {
+    if (!confirm(`Delete the theme "${getThemeName(themeId)}"?`)) return;
+    delete customThemes[themeId];
+    saveCustomThemes();
+    if (systemThemes.light === themeId) systemThemes.light = 'light-theme';
+    if (systemThemes.dark === themeId) systemThemes.dark = 'willow-theme';
+    localStorage.setItem(SYSTEM_THEMES_KEY, JSON.stringify(systemThemes));
+    // Other documents that used it fall back to the app theme when opened.
+    if (docMetadata.theme === themeId) setDocumentTheme('');
+    if (CURRENT_THEME === themeId) setAppTheme('willow-theme');
+    applyTheme();
+    renderThemeOptions();
+}
+
+function exportTheme(themeId) {
+    const theme = { format: THEME_FILE_FORMAT, version: 1, name: getThemeName(themeId), vars: readThemeVars(themeId) };
+    const fileName = theme.name.replace(/[^\w-]+/g, '_') || 'theme';
+    downloadFile(JSON.stringify(theme, null, 2), `${fileName}.json`, 'application/json');
+}
+
+// Returns { name, vars } or throws with a message for the user.
+function parseThemeFile(text) {
+    const raw = JSON.parse(text);
+    if (!raw || raw.format !== THEME_FILE_FORMAT) throw new Error('This is not a Wote theme file.');
+    if (typeof raw.name !== 'string' || !raw.name.trim()) throw new Error('The theme has no name.');
+    if (!raw.vars || typeof raw.vars !== 'object') throw new Error('The theme has no variables.');
+    const vars = {};
+    THEME_VARIABLES.forEach(({ name }) => {
+        const value = raw.vars[name];
+        if (typeof value === 'string' && value.trim() && !/[;{}<>]/.test(value)) vars[name] = value.trim();
+    });
+    if (Object.keys(vars).length === 0) throw new Error('The theme does not set any known variables.');
+    return { name: raw.name.trim(), vars };
+}
+
+function handleThemeImport(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        let theme;
+        try {
+            theme = parseThemeFile(e.target.result);
+        } catch (err) {
+            alert(err instanceof SyntaxError ? 'Corrupted theme file.' : err.message);
+            return;
+        }
+        const themeId = 'custom-' + generateId();
+        customThemes[themeId] = { name: theme.name, base: 'willow-theme', vars: theme.vars };
+        saveCustomThemes();
+        useTheme(themeId);
     };
+    reader.readAsText(file);
+    event.target.value = null;
+}
 
-    if (!themeSelector) return;
-    
-    themeSelector.addEventListener('change', (e) => {
-        const newTheme = e.target.value;
-        const isCustom = newTheme === 'custom-theme';
-        localStorage.setItem('appTheme', newTheme); 
-        CURRENT_THEME = newTheme;
-        applyTheme(newTheme);
-        if (builder) builder.style.display = isCustom ? 'block' : 'none';
-        if (isCustom) {
-            for (const [prop, input] of Object.entries(colorInputs)) {
-                if(input) input.value = CUSTOM_THEME_VARS[prop];
-            }
+function fillThemeSelect(select, value, extraOptions = []) {
+    if (!select) return;
+    select.innerHTML = '';
+    const options = extraOptions
+        .concat(Object.entries(BUILT_IN_THEMES))
+        .concat(Object.entries(customThemes).map(([id, theme]) => [id, theme.name]));
+    options.forEach(([id, label]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    select.value = value;
+}
+
+function renderThemeOptions() {
+    fillThemeSelect(document.getElementById('theme-selector'), themeExists(CURRENT_THEME) || CURRENT_THEME === 'system' ? CURRENT_THEME : 'willow-theme', [['system', 'Follow System (Light/Dark)']]);
+    fillThemeSelect(document.getElementById('doc-theme-selector'), docMetadata.theme || '', [['', 'Same as app'], ['system', 'Follow System (Light/Dark)']]);
+    fillThemeSelect(document.getElementById('system-light-theme'), systemThemes.light);
+    fillThemeSelect(document.getElementById('system-dark-theme'), systemThemes.dark);
+    const systemOptions = document.getElementById('system-theme-options');
+    if (systemOptions) systemOptions.style.display = CURRENT_THEME === 'system' || docMetadata.theme === 'system' ? 'block' : 'none';
+}
+
+// Editor for the custom theme on screen; built-in themes are copied with "New Theme" first.
+function renderThemeBuilder() {
+    const builder = document.getElementById('custom-theme-builder');
+    const fields = document.getElementById('theme-fields');
+    if (!builder || !fields) return;
+    const themeId = getActiveThemeId();
+    const theme = customThemes[themeId];
+    builder.style.display = theme ? 'block' : 'none';
+    if (!theme) return;
+    document.getElementById('theme-builder-title').textContent = `Customize "${theme.name}"`;
+    const vars = readThemeVars(themeId);
+    fields.innerHTML = '';
+    let group = null;
+    THEME_VARIABLES.forEach(({ name, label, group: fieldGroup, color }) => {
+        if (fieldGroup !== group) {
+            group = fieldGroup;
+            const heading = document.createElement('h5');
+            heading.textContent = group;
+            fields.appendChild(heading);
         }
+        const field = document.createElement('label');
+        field.textContent = `${label}: `;
+        const input = document.createElement('input');
+        const value = vars[name] || '';
+        // Colour pickers only take #rrggbb; anything else (rgba(), names...) is edited as text.
+        const hex = /^#[0-9a-f]{3}$/i.test(value) ? value.replace(/[0-9a-f]/gi, '$&$&') : value;
+        input.type = color && /^#[0-9a-f]{6}$/i.test(hex) ? 'color' : 'text';
+        input.value = input.type === 'color' ? hex : value;
+        input.addEventListener('input', () => {
+            theme.vars[name] = input.value;
+            document.documentElement.style.setProperty(name, input.value);
+        });
+        input.addEventListener('change', saveCustomThemes);
+        field.appendChild(input);
+        fields.appendChild(field);
     });
-    
-    themeSelector.value = CURRENT_THEME;
-    if (builder) builder.style.display = (CURRENT_THEME === 'custom-theme') ? 'block' : 'none';
+}
 
-    for (const [prop, input] of Object.entries(colorInputs)) {
-        if(input) input.addEventListener('input', (e) => {
-            document.documentElement.style.setProperty(prop, e.target.value);
-            CUSTOM_THEME_VARS[prop] = e.target.value;
+function setupCustomThemeListeners() {
+    const bindings = {
+        'theme-selector': (value) => setAppTheme(value),
+        'doc-theme-selector': (value) => setDocumentTheme(value),
+        'system-light-theme': (value) => { systemThemes.light = value; },
+        'system-dark-theme': (value) => { systemThemes.dark = value; }
+    };
+    for (const [id, onChange] of Object.entries(bindings)) {
+        const select = document.getElementById(id);
+        if (select) select.addEventListener('change', () => {
+            onChange(select.value);
+            localStorage.setItem(SYSTEM_THEMES_KEY, JSON.stringify(systemThemes));
+            applyTheme();
         });
     }
+    const actions = {
+        'new-theme-btn': createCustomTheme,
+        'import-theme-btn': () => document.getElementById('import-theme-file').click(),
+        'export-theme-btn': () => exportTheme(getActiveThemeId()),
+        'rename-theme-btn': () => renameCustomTheme(getActiveThemeId()),
+        'delete-theme-btn': () => deleteCustomTheme(getActiveThemeId())
+    };
+    for (const [id, action] of Object.entries(actions)) {
+        const btn = document.getElementById(id);
+        if (btn) btn.addEventListener('click', action);
+    }
+    const importThemeFile = document.getElementById('import-theme-file');
+    if (importThemeFile) importThemeFile.addEventListener('change', handleThemeImport);
+    if (systemDarkQuery && systemDarkQuery.addEventListener) systemDarkQuery.addEventListener('change', () => applyTheme());
+    renderThemeOptions();
+}
 
-    if (saveBtn) saveBtn.addEventListener('click', () => {
-        localStorage.setItem('customThemeVars', JSON.stringify(CUSTOM_THEME_VARS));
-        alert("Theme saved.");
-    });
+// --- Init ---
+function openAppMenu() {
+    document.getElementById('app-menu').style.display = 'block';
+    renderThemeOptions();
+    renderEncryptionControls();
+    renderLibrary();
+    renderAgenda();
 }
 
 document.addEventListener('DOMContentLoaded', () => {
-    loadNotes(); 
+    initStorage().then(loadNotes).then(refreshLinkIndex).then(pruneUnusedImages).catch(handleStartupError);
     const menuBtn = document.getElementById('menu-btn');
     const appMenu = document.getElementById('app-menu');
     const closeMenuBtn = document.getElementById('close-menu-btn');
     const exportBtn = document.getElementById('export-btn');
+    const exportMdBtn = document.getElementById('export-md-btn');
+    const exportOpmlBtn = document.getElementById('export-opml-btn');
+    const exportHtmlBtn = document.getElementById('export-html-btn');
+    const printBtn = document.getElementById('print-btn');
     const importBtn = document.getElementById('import-btn');
     const importFile = document.getElementById('import-file');
+
+    const newDocBtn = document.getElementById('new-doc-btn');
+    const historyBtn = document.getElementById('history-btn');
+    const historyCloseBtn = document.getElementById('history-close-btn');
     setupCustomThemeListeners(); 
 
-    if (menuBtn) menuBtn.addEventListener('click', () => appMenu.style.display = 'block');
+    if (menuBtn) menuBtn.addEventListener('click', openAppMenu);
     if (closeMenuBtn) closeMenuBtn.addEventListener('click', () => appMenu.style.display = 'none');
     if (exportBtn) exportBtn.addEventListener('click', handleExport);
+    const shareBtn = document.getElementById('share-btn');
+    if (shareBtn) shareBtn.addEventListener('click', () => {
+        appMenu.style.display = 'none';
+        copyShareLink();
+    });
+    const saveCopyBtn = document.getElementById('save-copy-btn');
+    if (saveCopyBtn) saveCopyBtn.addEventListener('click', saveSharedCopy);
+    // A share link pasted into the address bar of an open tab only changes the fragment.
+    window.addEventListener('hashchange', () => {
+        if (getSharePayload()) window.location.reload();
+    });
+    if (exportMdBtn) exportMdBtn.addEventListener('click', handleMarkdownExport);
+    if (exportOpmlBtn) exportOpmlBtn.addEventListener('click', handleOpmlExport);
+    if (exportHtmlBtn) exportHtmlBtn.addEventListener('click', handleHtmlExport);
+    if (printBtn) printBtn.addEventListener('click', printDocument);
+    window.addEventListener('afterprint', handleAfterPrint);
     if (importBtn) importBtn.addEventListener('click', () => importFile.click());
     if (importFile) importFile.addEventListener('change', handleImport);
+    if (historyBtn) historyBtn.addEventListener('click', () => {
+        appMenu.style.display = 'none';
+        openHistory();
+    });
+    if (historyCloseBtn) historyCloseBtn.addEventListener('click', closeHistory);
+    const encryptionActions = { 'encrypt-btn': encryptDocument, 'decrypt-btn': decryptDocument, 'lock-btn': lockDocument };
+    for (const [id, action] of Object.entries(encryptionActions)) {
+        const btn = document.getElementById(id);
+        if (btn) btn.addEventListener('click', () => {
+            appMenu.style.display = 'none';
+            action();
+        });
+    }
+    // Any activity postpones the auto-lock of an encrypted document.
+    ['keydown', 'mousedown', 'touchstart', 'wheel'].forEach(type => document.addEventListener(type, resetAutoLock, { passive: true, capture: true }));
+    const shortcutsBtn = document.getElementById('shortcuts-btn');
+    if (shortcutsBtn) shortcutsBtn.addEventListener('click', () => {
+        appMenu.style.display = 'none';
+        openShortcuts();
+    });
+    const shortcutsCloseBtn = document.getElementById('shortcuts-close-btn');
+    if (shortcutsCloseBtn) shortcutsCloseBtn.addEventListener('click', closeShortcuts);
+    const shortcutsResetBtn = document.getElementById('shortcuts-reset-btn');
+    if (shortcutsResetBtn) shortcutsResetBtn.addEventListener('click', resetShortcuts);
+    const paletteInput = document.getElementById('palette-input');
+    if (paletteInput) {
+        paletteInput.addEventListener('input', updatePalette);
+        paletteInput.addEventListener('keydown', handlePaletteKeydown);
+        paletteInput.addEventListener('blur', closePalette);
+    }
+    const paletteResultsEl = document.getElementById('palette-results');
+    // Keep focus in the input so a click on a result still has the note to act on.
+    if (paletteResultsEl) paletteResultsEl.addEventListener('mousedown', (e) => e.preventDefault());
+    if (newDocBtn) newDocBtn.addEventListener('click', createNewDocument);
+    document.addEventListener('keydown', handleGlobalKeydown);
+    // Capture phase, so a shortcut being recorded never reaches the app.
+    document.addEventListener('keydown', handleShortcutCapture, true);
+    window.addEventListener('storage', handleStorageEvent);
+    if (syncChannel) syncChannel.addEventListener('message', handleSyncMessage);
+    // Debounced writes must not be lost when the tab is hidden or closed.
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushSave();
+        else refreshLinkIndex();
+    });
+    window.addEventListener('pagehide', flushSave);
+    window.addEventListener('pagehide', releaseImageUrls);
+    window.addEventListener('popstate', () => {
+        readZoomFromURL();
+        renderAllNotes();
+    });
+    const syncDismissBtn = document.getElementById('sync-notice-dismiss');
+    if (syncDismissBtn) syncDismissBtn.addEventListener('click', dismissSyncNotice);
+    const filterInput = document.getElementById('filter-input');
+    if (filterInput) {
+        filterInput.addEventListener('input', applyFilter);
+        filterInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') closeFilter();
+        });
+    }
+    const filterCloseBtn = document.getElementById('filter-close-btn');
+    if (filterCloseBtn) filterCloseBtn.addEventListener('click', closeFilter);
+    const filterBtn = document.getElementById('filter-btn');
+    if (filterBtn) filterBtn.addEventListener('click', () => filterBy(''));
+
+    const noteContainer = document.getElementById('note-container');
+    noteContainer.addEventListener('mousedown', handleSelectionMouseDown);
+    noteContainer.addEventListener('focusin', handleSelectionFocusIn);
+    noteContainer.addEventListener('input', clearSelection);
+    noteContainer.addEventListener('focusin', handleTreeFocusIn);
+    noteContainer.addEventListener('keydown', handleTreeItemKeydown);
+    document.addEventListener('copy', handleCopy);
+    document.addEventListener('cut', handleCut);
+    const selectionType = document.getElementById('selection-type');
+    if (selectionType) fillNodeTypeSelect(selectionType);
+    if (selectionType) selectionType.addEventListener('change', () => {
+        setSelectionType(selectionType.value);
+        selectionType.value = '';
+    });
+    applyShortcutHints();
+    const selectionActions = {
+        'selection-indent-btn': indentSelection,
+        'selection-outdent-btn': outdentSelection,
+        'selection-collapse-btn': toggleSelectionCollapse,
+        'selection-copy-btn': () => document.execCommand('copy'),
+        'selection-delete-btn': deleteSelection,
+        'selection-clear-btn': clearSelection
+    };
+    for (const [id, action] of Object.entries(selectionActions)) {
+        const btn = document.getElementById(id);
+        if (btn) btn.addEventListener('click', action);
+    }
+
+    const searchInput = document.getElementById('search-input');
+    if (searchInput) {
+        searchInput.addEventListener('input', runSearch);
+        searchInput.addEventListener('keydown', handleSearchKeydown);
+    }
+    const searchAllDocs = document.getElementById('search-all-docs');
+    if (searchAllDocs) searchAllDocs.addEventListener('change', runSearch);
+    const searchPrevBtn = document.getElementById('search-prev-btn');
+    const searchNextBtn = document.getElementById('search-next-btn');
+    const searchCloseBtn = document.getElementById('search-close-btn');
+    if (searchPrevBtn) searchPrevBtn.addEventListener('click', () => goToSearchResult(searchIndex - 1));
+    if (searchNextBtn) searchNextBtn.addEventListener('click', () => goToSearchResult(searchIndex + 1));
+    if (searchCloseBtn) searchCloseBtn.addEventListener('click', closeSearch);
+
+    // Offline support; service workers only run on http(s) pages.
+    if ('serviceWorker' in navigator && location.protocol.startsWith('http')) {
+        // Without it the app still works while online.
+        navigator.serviceWorker.register('sw.js').catch(() => {});
+    }
 });
\ No newline at end of file
@@ -0,0 +1,82 @@
+// --- Offline Cache ---
+// Precaches the app shell so Wote opens and works without a network. Same-origin requests
+// are answered from the cache and refreshed in the background, so an update shows up on the
+// next load. Bump CACHE_NAME whenever APP_SHELL changes.
+const CACHE_NAME = 'wote-v2';
+const APP_SHELL = [
+    './',
+    'index.html',
+    'flavour.css',
+    'script.js',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'vendor/marked/marked.umd.js',
+    'vendor/dompurify/purify.min.js',
+    'vendor/highlight/highlight.min.js',
+    'vendor/highlight/styles/atom-one-dark.min.css',
+    'vendor/katex/katex.min.js',
+    'vendor/katex/katex.min.css',
+    'vendor/katex/fonts/KaTeX_AMS-Regular.woff2',
+    'vendor/katex/fonts/KaTeX_Caligraphic-Bold.woff2',
+    'vendor/katex/fonts/KaTeX_Caligraphic-Regular.woff2',
+    'vendor/katex/fonts/KaTeX_Fraktur-Bold.woff2',
+    'vendor/katex/fonts/KaTeX_Fraktur-Regular.woff2',
+    'vendor/katex/fonts/KaTeX_Main-Bold.woff2',
+    'vendor/katex/fonts/KaTeX_Main-BoldItalic.woff2',
+    'vendor/katex/fonts/KaTeX_Main-Italic.woff2',
+    'vendor/katex/fonts/KaTeX_Main-Regular.woff2',
+    'vendor/katex/fonts/KaTeX_Math-BoldItalic.woff2',
+    'vendor/katex/fonts/KaTeX_Math-Italic.woff2',
+    'vendor/katex/fonts/KaTeX_SansSerif-Bold.woff2',
+    'vendor/katex/fonts/KaTeX_SansSerif-Italic.woff2',
+    'vendor/katex/fonts/KaTeX_SansSerif-Regular.woff2',
+    'vendor/katex/fonts/KaTeX_Script-Regular.woff2',
+    'vendor/katex/fonts/KaTeX_Size1-Regular.woff2',
+    'vendor/katex/fonts/KaTeX_Size2-Regular.woff2',
+    'vendor/katex/fonts/KaTeX_Size3-Regular.woff2',
+    'vendor/katex/fonts/KaTeX_Size4-Regular.woff2',
+    'vendor/katex/fonts/KaTeX_Typewriter-Regular.woff2',
+    'vendor/mermaid/mermaid.min.js',
+    'vendor/libre-baskerville/400.css',
+    'vendor/libre-baskerville/400-italic.css',
+    'vendor/libre-baskerville/700.css',
+    'vendor/libre-baskerville/files/libre-baskerville-latin-400-italic.woff2',
+    'vendor/libre-baskerville/files/libre-baskerville-latin-400-normal.woff2',
+    'vendor/libre-baskerville/files/libre-baskerville-latin-700-normal.woff2',
+    'vendor/libre-baskerville/files/libre-baskerville-latin-ext-400-italic.woff2',
+    'vendor/libre-baskerville/files/libre-baskerville-latin-ext-400-normal.woff2',
+    'vendor/libre-baskerville/files/libre-baskerville-latin-ext-700-normal.woff2'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME)
+        .then(cache => cache.addAll(APP_SHELL))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith('wote-') && key !== CACHE_NAME)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    // Every document is index.html with a different ?id=, so pages share one cache entry.
+    const key = request.mode === 'navigate' ? 'index.html' : request;
+
+    event.respondWith(caches.open(CACHE_NAME).then(async (cache) => {
+        const cached = await cache.match(key, { ignoreSearch: true });
+        const network = fetch(request).then(response => {
+            if (response.ok && !response.redirected) cache.put(key, response.clone());
+            return response;
+        });
+        if (!cached) return network;
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }));
+});